@@ -0,0 +1,52 @@
+// CSV lesen (Sammelprüfung) und schreiben (Exporte); Tests in test/csv.test.js
+
+// Minimaler CSV-Parser (Anführungszeichen, "" als Escape); Trenner wird aus der ersten Zeile geraten
+function parseCsv(text) {
+  const str = String(text);
+  const first = str.split(/\r?\n/, 1)[0];
+  const sep = [';', ',', '\t'].sort((a, b) => first.split(b).length - first.split(a).length)[0];
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    if (quoted) {
+      if (c === '"' && str[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && str[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += c;
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(r => r.some(x => x.trim()));
+}
+
+// CSV (RFC 4180, ; als Trenner für Excel-DE) aus Objekten; columns = Keys in Reihenfolge.
+// Texte, die Excel/LibreOffice als Formel lesen würden (= + - @ Tab CR am Anfang), bekommen ein ' davor –
+// ref/input stammen vom Kunden. Zahlen (auch negative) bleiben unverändert.
+function toCsv(rows, columns) {
+  const cell = v => {
+    let s = v === null || v === undefined ? '' : String(v);
+    if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[";\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+  };
+  return [columns.join(';'), ...rows.map(r => columns.map(c => cell(r[c])).join(';'))].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,42 @@
+// Erzeugt ein selbstsigniertes PKCS#12-Zertifikat zum lokalen Testen der PDF-Signatur.
+// PDF-Viewer zeigen die Signatur als gültig, aber den Aussteller als "nicht vertrauenswürdig" –
+// für Produktion ein Zertifikat einer vertrauenswürdigen CA (AATL) verwenden.
+//
+//   node scripts/make-test-cert.js [out.p12] [passphrase]
+//   => PDF_SIGN_P12=certs/test-signing.p12 PDF_SIGN_PASSPHRASE=test
+
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+
+const outPath = path.resolve(process.argv[2] || path.join(__dirname, '..', 'certs', 'test-signing.p12'));
+const passphrase = process.argv[3] || 'test';
+
+const keys = forge.pki.rsa.generateKeyPair(2048);
+const cert = forge.pki.createCertificate();
+cert.publicKey = keys.publicKey;
+cert.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(8));
+cert.validity.notBefore = new Date();
+cert.validity.notAfter = new Date();
+cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 2);
+
+const attrs = [
+  { name: 'commonName', value: 'FZB-24 Test Signing' },
+  { name: 'organizationName', value: 'FZB-24 (TEST)' },
+  { name: 'countryName', value: 'DE' }
+];
+cert.setSubject(attrs);
+cert.setIssuer(attrs);
+cert.setExtensions([
+  { name: 'basicConstraints', cA: false },
+  { name: 'keyUsage', digitalSignature: true, nonRepudiation: true },
+  { name: 'extKeyUsage', emailProtection: true }
+]);
+cert.sign(keys.privateKey, forge.md.sha256.create());
+
+const p12 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], passphrase, { algorithm: '3des' });
+fs.mkdirSync(path.dirname(outPath), { recursive: true });
+fs.writeFileSync(outPath, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+
+console.log(`✅ Test-Zertifikat geschrieben: ${outPath}`);
+console.log(`   PDF_SIGN_P12=${path.relative(process.cwd(), outPath)} PDF_SIGN_PASSPHRASE=${passphrase}`);
@@ -0,0 +1,149 @@
+// Webhook-Signaturen, Proof-of-Work der Bot-Challenge und Adressprüfung für ausgehende Requests –
+// ohne Env und Store, Tests in test/security.test.js
+
+const crypto = require('crypto');
+const net = require('net');
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function hmacBase64(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64');
+}
+
+function hmacHex(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+// ====================== WEBHOOK SIGNATURES ======================
+// Signatur-Header "t=<unix>,v1=<hex>[,v1=<hex>]" mit v1 = HMAC-SHA256(secret, "<t>.<rawBody>")
+// (gleiches Schema wie Stripe; mehrere v1 erlaubt, falls der Absender während einer Rotation doppelt signiert)
+function parseSignatureHeader(value) {
+  const parts = String(value || '')
+    .split(',')
+    .map(p => p.trim().split('='));
+  const t = Number(parts.find(([k]) => k === 't')?.[1]);
+  const v1 = parts.filter(([k, v]) => k === 'v1' && v).map(([, v]) => v);
+  return { t: Number.isFinite(t) && t > 0 ? t : null, v1 };
+}
+
+// Ergebnis aller Prüfungen: { ok: true, secret: <Index in der Liste> } | { ok: false, reason }
+function verifySignatureHeader(rawBody, header, secrets, { toleranceSec = 300, now = Date.now() } = {}) {
+  if (!secrets.length) return { ok: false, reason: 'not_configured' };
+  if (!header) return { ok: false, reason: 'missing_signature' };
+  const { t, v1 } = parseSignatureHeader(header);
+  if (t === null || !v1.length) return { ok: false, reason: 'malformed_signature' };
+  if (Math.abs(now / 1000 - t) > toleranceSec) return { ok: false, reason: 'timestamp_out_of_tolerance' };
+  const signed = `${t}.${Buffer.from(rawBody || '').toString('utf8')}`;
+  const secret = secrets.findIndex(sec => {
+    const expected = hmacHex(sec, signed);
+    return v1.some(sig => safeEqual(sig, expected));
+  });
+  return secret >= 0 ? { ok: true, secret } : { ok: false, reason: 'bad_signature' };
+}
+
+// Für ausgehende Webhooks: gleiches Schema, Empfänger prüft wie verifySignatureHeader
+function webhookSignatureHeader(secret, rawBody, t = Math.floor(Date.now() / 1000)) {
+  return `t=${t},v1=${hmacHex(secret, `${t}.${rawBody}`)}`;
+}
+
+// ====================== PROOF OF WORK ======================
+// Client sucht nonce mit sha256("<challenge>:<nonce>") >= difficulty führende Null-Bits.
+// Challenge = "<expires>.<rand>.<difficulty>.<mac>", zustandslos prüfbar; verbrauchte merken wir bis zum Ablauf.
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+function createPow({ secret, difficulty, ttlMs = 5 * 60 * 1000 }) {
+  const used = new Map(); // challenge -> expires
+  const mac = body => hmacHex(secret, body).slice(0, 32);
+
+  function issue(now = Date.now()) {
+    const expires = now + ttlMs;
+    const body = `${expires}.${crypto.randomBytes(8).toString('hex')}.${difficulty}`;
+    return { challenge: `${body}.${mac(body)}`, difficulty, expires_at: new Date(expires).toISOString() };
+  }
+
+  function verify(token, now = Date.now()) {
+    const str = String(token || '');
+    const sep = str.lastIndexOf(':');
+    if (sep < 0) return { ok: false, reason: 'malformed_token' };
+    const challenge = str.slice(0, sep);
+    const nonce = str.slice(sep + 1);
+    const [expires, rand, bits, sig] = challenge.split('.');
+    if (!nonce || !sig) return { ok: false, reason: 'malformed_token' };
+    if (!safeEqual(sig, mac(`${expires}.${rand}.${bits}`))) return { ok: false, reason: 'invalid_challenge' };
+    if (Number(expires) < now) return { ok: false, reason: 'challenge_expired' };
+    if (used.has(challenge)) return { ok: false, reason: 'challenge_used' };
+    if (leadingZeroBits(crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest()) < Number(bits)) {
+      return { ok: false, reason: 'insufficient_work' };
+    }
+
+    for (const [c, exp] of used) if (exp < now) used.delete(c);
+    used.set(challenge, Number(expires));
+    return { ok: true };
+  }
+
+  return { issue, verify };
+}
+
+// ====================== OUTBOUND ADDRESSES ======================
+// Ziele, die ein Kunde für Webhooks nicht angeben darf (SSRF): Loopback, private Netze, Link-Local
+// (inkl. Cloud-Metadaten 169.254.169.254), CGNAT, Multicast/reserviert, NAT64. IPv4-mapped IPv6
+// (::ffff:127.0.0.1) prüft BlockList gegen die IPv4-Netze.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [net4, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  PRIVATE_RANGES.addSubnet(net4, prefix, 'ipv4');
+}
+for (const [net6, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  PRIVATE_RANGES.addSubnet(net6, prefix, 'ipv6');
+}
+
+// true auch für Werte, die gar keine IP sind – im Zweifel nicht verbinden
+function isPrivateAddress(ip) {
+  const family = net.isIP(String(ip || ''));
+  if (!family) return true;
+  return PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+  safeEqual,
+  hmacBase64,
+  hmacHex,
+  parseSignatureHeader,
+  verifySignatureHeader,
+  webhookSignatureHeader,
+  leadingZeroBits,
+  createPow,
+  isPrivateAddress
+};
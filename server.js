@@ -5,14 +5,31 @@ const cors = require('cors');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
 
 const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
 const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const forge = require('node-forge');
+const { SignPdf } = require('@signpdf/signpdf');
+const { P12Signer } = require('@signpdf/signer-p12');
+const { plainAddPlaceholder } = require('@signpdf/placeholder-plain');
+const { SUBFILTER_ETSI_CADES_DETACHED } = require('@signpdf/utils');
+const archiver = require('archiver');
+
+const { sanitizeVin, validateVin } = require('./vin');
+const { safeEqual, hmacBase64, hmacHex, parseSignatureHeader, verifySignatureHeader, webhookSignatureHeader, createPow, isPrivateAddress } = require('./security');
+const { parseCsv, toCsv } = require('./csv');
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '4mb' }));
+// rawBody: Shop-Webhooks signieren den unveränderten Body (HMAC)
+app.use(express.json({ limit: '4mb', verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 // ====================== ENV ======================
 const PORT = process.env.PORT || 3001;
@@ -22,6 +39,23 @@ const VINCARIO_BASE_URL = `https://api.vincario.com/${API_VERSION}`;
 const VINCARIO_API_KEY = process.env.VINCARIO_API_KEY;
 const VINCARIO_SECRET_KEY = process.env.VINCARIO_SECRET_KEY;
 
+// Vincario-Cache: TTL pro Action in Stunden (0 = nicht cachen)
+const VINCARIO_CACHE_TTL_HOURS = {
+  decode: Number(process.env.VINCARIO_CACHE_TTL_DECODE_HOURS ?? 24 * 30),
+  'stolen-check': Number(process.env.VINCARIO_CACHE_TTL_STOLEN_HOURS ?? 1),
+  'vehicle-market-value': Number(process.env.VINCARIO_CACHE_TTL_MARKET_VALUE_HOURS ?? 24)
+};
+
+// Timeout pro Vincario-Abfrage
+const VINCARIO_TIMEOUT_MS = Number(process.env.VINCARIO_TIMEOUT_MS || 15000);
+
+// Fehlende Checks: "deliver" = trotzdem ausliefern, "hold" = Order zur Admin-Prüfung zurückhalten
+const REPORT_INCOMPLETE_POLICY = (process.env.REPORT_INCOMPLETE_POLICY || 'deliver').toLowerCase();
+const REPORT_REQUIRED_CHECKS = (process.env.REPORT_REQUIRED_CHECKS || 'stolen,market_value')
+  .split(',')
+  .map(x => x.trim())
+  .filter(Boolean);
+
 const DEBUG = (process.env.DEBUG || 'false').toLowerCase() === 'true';
 const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://127.0.0.1:${PORT}`;
 
@@ -29,6 +63,26 @@ const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://127.0.0.1:${PORT}
 const PDF_ENABLED = (process.env.PDF_ENABLED || 'true').toLowerCase() === 'true';
 const EMAIL_ENABLED = (process.env.EMAIL_ENABLED || 'true').toLowerCase() === 'true';
 
+// Chromium-Pool: gleichzeitige Pages, Wiederverwendung pro Page, Timeout pro Rendering
+const PDF_MAX_PAGES = Math.max(1, Number(process.env.PDF_MAX_PAGES || 2));
+const PDF_PAGE_MAX_USES = Math.max(1, Number(process.env.PDF_PAGE_MAX_USES || 20));
+const PDF_RENDER_TIMEOUT_MS = Number(process.env.PDF_RENDER_TIMEOUT_MS || 60000);
+
+// Renderer: "chromium" (HTML-Layout) oder "pdfkit" (einfacher, ohne Browser).
+// PDF_FALLBACK=true: schlägt Chromium fehl, wird mit pdfkit gerendert.
+const PDF_RENDERER = (process.env.PDF_RENDERER || 'chromium').toLowerCase();
+const PDF_FALLBACK = (process.env.PDF_FALLBACK || 'true').toLowerCase() === 'true';
+
+// PDF-Signatur (PKCS#12). Ohne PDF_SIGN_P12 wird nicht signiert.
+// Test-Zertifikat: npm run make-test-cert
+const PDF_SIGN_P12 = process.env.PDF_SIGN_P12 || '';
+const PDF_SIGN_PASSPHRASE = process.env.PDF_SIGN_PASSPHRASE || '';
+const PDF_SIGN_REASON = process.env.PDF_SIGN_REASON || 'Fahrzeugbericht – unverändert seit Erstellung';
+const PDF_SIGN_LOCATION = process.env.PDF_SIGN_LOCATION || 'Deutschland';
+const PDF_SIGN_CONTACT = process.env.PDF_SIGN_CONTACT || process.env.SMTP_USER || '';
+// true: ohne Signatur wird nicht ausgeliefert (Job wird wiederholt); false: unsigniert mit Warnung
+const PDF_SIGN_REQUIRED = (process.env.PDF_SIGN_REQUIRED || 'false').toLowerCase() === 'true';
+
 const SMTP_HOST = process.env.SMTP_HOST || 'smtp.gmail.com';
 const SMTP_PORT = Number(process.env.SMTP_PORT || 465);
 const SMTP_SECURE = (process.env.SMTP_SECURE || 'true').toLowerCase() === 'true';
@@ -37,8 +91,113 @@ const SMTP_PASS = process.env.SMTP_PASS; // App password
 const MAIL_FROM = process.env.MAIL_FROM || (SMTP_USER ? `FZB-24 <${SMTP_USER}>` : 'FZB-24');
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || SMTP_USER;
 
-// Webhook security
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+// Webhook security: HMAC-Signatur über den Body (siehe SECURITY).
+// Secrets kommagetrennt – während einer Rotation sind alte und neue gleichzeitig gültig.
+const WEBHOOK_SECRETS = (process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '')
+  .split(',')
+  .map(x => x.trim())
+  .filter(Boolean);
+// Max. Abweichung des signierten Zeitstempels (Replay-Schutz)
+const WEBHOOK_TOLERANCE_SEC = Number(process.env.WEBHOOK_TOLERANCE_SEC || 300);
+// Übergang für Absender ohne HMAC: "off" | "header" (x-webhook-secret) | "query" (zusätzlich ?secret=, landet in Access-Logs!)
+const WEBHOOK_LEGACY_AUTH = (process.env.WEBHOOK_LEGACY_AUTH || 'off').toLowerCase();
+// Shop-Adapter (POST /api/webhooks/:provider); ohne Secret ist der Adapter deaktiviert
+const SHOPIFY_WEBHOOK_SECRETS = (process.env.SHOPIFY_WEBHOOK_SECRET || '')
+  .split(',')
+  .map(x => x.trim())
+  .filter(Boolean);
+const STRIPE_WEBHOOK_SECRETS = (process.env.STRIPE_WEBHOOK_SECRET || '')
+  .split(',')
+  .map(x => x.trim())
+  .filter(Boolean);
+
+// Missbrauchsschutz öffentlicher Routen (siehe ABUSE PROTECTION)
+// TRUST_PROXY: Anzahl Proxies vor dem Server, sonst zählt req.ip die Proxy-IP und alle Besucher teilen sich
+// ein IP-Limit. Default 1 auf Render (setzt RENDER=true, ein Load Balancer davor), sonst 0 (direkt erreichbar).
+// Hinter weiteren Proxies (z.B. Cloudflare vor Render) entsprechend erhöhen; nie höher als tatsächlich vorhanden,
+// sonst lässt sich die IP per X-Forwarded-For fälschen.
+const TRUST_PROXY = Number(process.env.TRUST_PROXY ?? ((process.env.RENDER || '').toLowerCase() === 'true' ? 1 : 0));
+// Rate-Limits "<Anzahl>/<Fenster>" (s, m, h, d), z.B. "20/10m"; "0" = aus
+const RATE_LIMIT_PREVIEW_IP = process.env.RATE_LIMIT_PREVIEW_IP ?? '20/10m';
+const RATE_LIMIT_PREVIEW_VIN = process.env.RATE_LIMIT_PREVIEW_VIN ?? '10/1h';
+const RATE_LIMIT_LINK_VIN_IP = process.env.RATE_LIMIT_LINK_VIN_IP ?? '30/10m';
+const RATE_LIMIT_LINK_VIN_VIN = process.env.RATE_LIMIT_LINK_VIN_VIN ?? '10/1h';
+// Tagesbudget Vincario (UTC-Tag, Währung laut Vincario); erreicht => Vorschau nur noch aus dem Cache. 0 = unbegrenzt
+const VINCARIO_DAILY_BUDGET = Number(process.env.VINCARIO_DAILY_BUDGET || 0);
+// Bot-Challenge für /api/report/:vin: off | pow | turnstile | hcaptcha | recaptcha
+const BOT_CHALLENGE = (process.env.BOT_CHALLENGE || 'off').toLowerCase();
+const BOT_POW_DIFFICULTY = Number(process.env.BOT_POW_DIFFICULTY || 16); // führende Null-Bits in sha256
+const CAPTCHA_SITE_KEY = process.env.CAPTCHA_SITE_KEY || '';
+const CAPTCHA_SECRET = process.env.CAPTCHA_SECRET || '';
+
+// Admin API (Authorization: Bearer <ADMIN_TOKEN>); ohne Token sind die Admin-Routen gesperrt
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// B2B API-Keys (x-api-key) für Premium-JSON und PDF; Kontingent pro Key und Kalendermonat (UTC)
+const API_KEY_DEFAULT_QUOTA = Number(process.env.API_KEY_DEFAULT_QUOTA || 100);
+// Test-Kauf aus vin-check.html: POST /api/order ohne API-Key (kein Kontingent, echte Vincario-Kosten) – nur lokal
+const ALLOW_TEST_ORDERS = (process.env.ALLOW_TEST_ORDERS || 'false').toLowerCase() === 'true';
+
+// Sammelprüfung (POST /api/batch): max. VINs pro Auftrag und parallel laufende Reports
+const BATCH_MAX_VINS = Number(process.env.BATCH_MAX_VINS || 500);
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY || 3));
+
+// Diebstahl-Monitor: Prüfintervall in Stunden (pro Abo wählbar, nicht unter MONITOR_MIN_INTERVAL_HOURS), Laufzeit in Tagen
+const MONITOR_INTERVAL_HOURS = Number(process.env.MONITOR_INTERVAL_HOURS || 24);
+const MONITOR_MIN_INTERVAL_HOURS = Number(process.env.MONITOR_MIN_INTERVAL_HOURS || 1);
+const MONITOR_DEFAULT_DAYS = Number(process.env.MONITOR_DEFAULT_DAYS || 30);
+const MONITOR_MAX_DAYS = Number(process.env.MONITOR_MAX_DAYS || 365);
+const MONITOR_TICK_MS = Number(process.env.MONITOR_TICK_MS || 60 * 1000);
+// Max. aktive Abos pro API-Key (jede Prüfung kostet eine Kontingent-Einheit); 0 = unbegrenzt
+const MONITOR_MAX_PER_KEY = Number(process.env.MONITOR_MAX_PER_KEY ?? 100);
+
+// Ausgehende Webhooks (Shop/CRM): Endpoints über /api/admin/webhooks, Zustellung über die Job-Queue
+const OUTBOUND_WEBHOOK_TIMEOUT_MS = Number(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS || 10000);
+// Webhook-/Monitor-URLs auf private/interne Adressen (localhost, 10.x, 169.254.x, …) nur mit true – lokal zum Testen
+const OUTBOUND_ALLOW_PRIVATE_HOSTS = (process.env.OUTBOUND_ALLOW_PRIVATE_HOSTS || 'false').toLowerCase() === 'true';
+// Zustellungen laufen in einer eigenen Job-Lane parallel zur (seriellen) Bestell-Lane
+const OUTBOUND_WEBHOOK_CONCURRENCY = Math.max(1, Number(process.env.OUTBOUND_WEBHOOK_CONCURRENCY || 4));
+
+// Fahrzeugvergleich (/api/compare): jede VIN kostet einen Premium-Report
+const COMPARE_MAX_VINS = Math.max(2, Number(process.env.COMPARE_MAX_VINS || 3));
+
+// Download-Links (signiert, zeitlich begrenzt)
+const REPORT_LINK_SECRET = process.env.REPORT_LINK_SECRET || '';
+const REPORT_LINK_TTL_HOURS = Number(process.env.REPORT_LINK_TTL_HOURS || 72);
+
+// Persistenter Speicher (Orders, Dedupe, VIN-Links). Auf Render: Persistent Disk hier mounten.
+const STORE_DRIVER = (process.env.STORE_DRIVER || 'jsonl').toLowerCase();
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Aufbewahrung in Tagen (siehe RETENTION); 0 = nie löschen
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS ?? 30);
+const MAIL_RETENTION_DAYS = Number(process.env.MAIL_RETENTION_DAYS ?? 30);
+const ORDER_RETENTION_DAYS = Number(process.env.ORDER_RETENTION_DAYS ?? 180);
+const USAGE_RETENTION_DAYS = Number(process.env.USAGE_RETENTION_DAYS ?? 400);
+const WEBHOOK_DELIVERY_RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS ?? 30);
+
+// Mail-Versand: "smtp" (echt), "outbox" (.eml + Anhänge in MAIL_OUTBOX_DIR) oder "json" (eine Zeile pro Mail)
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase();
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox');
+const MAIL_LOG_FILE = process.env.MAIL_LOG_FILE || path.join(DATA_DIR, 'mail-log.jsonl');
+
+// Sprache für Reports, Vorschau und Kunden-Mails (Kataloge in locales/<lang>.json)
+const DEFAULT_LANG = (process.env.DEFAULT_LANG || 'de').toLowerCase();
+
+// Report-Themes (Logo, Farben, Texte) – ein JSON pro Theme in THEMES_DIR
+const THEMES_DIR = process.env.THEMES_DIR || path.join(__dirname, 'themes');
+const DEFAULT_THEME = (process.env.DEFAULT_THEME || 'default').toLowerCase();
+
+// Mail-Templates: <Theme>/<name>.<lang>.html|txt, fehlende Dateien kommen aus "default"
+const MAIL_TEMPLATES_DIR = process.env.MAIL_TEMPLATES_DIR || path.join(__dirname, 'mail-templates');
+const ADMIN_LANG = (process.env.ADMIN_LANG || 'de').toLowerCase();
+// Kunde bekommt eine Info-Mail, wenn seine Bestellung manuell geprüft wird
+const MAIL_CUSTOMER_MANUAL_CHECK = (process.env.MAIL_CUSTOMER_MANUAL_CHECK || 'true').toLowerCase() === 'true';
+
+// Mapping Vincario-Decode -> Report-Felder
+const REPORT_FIELDS_FILE = process.env.REPORT_FIELDS_FILE || path.join(__dirname, 'report-fields.json');
+
+// Beim Beenden (SIGTERM) max. so lange auf laufende Requests, Jobs und Sammelprüfungen warten; Render beendet nach 30s hart
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 25000);
 
 // Render prod detection
 const IS_PROD =
@@ -50,7 +209,7 @@ if (!VINCARIO_API_KEY || !VINCARIO_SECRET_KEY) {
   process.exit(1);
 }
 
-if (EMAIL_ENABLED) {
+if (EMAIL_ENABLED && MAIL_TRANSPORT === 'smtp') {
   if (!SMTP_USER || !SMTP_PASS) {
     console.error('❌ EMAIL_ENABLED=true but SMTP_USER/SMTP_PASS missing');
     process.exit(1);
@@ -58,10 +217,16 @@ if (EMAIL_ENABLED) {
 }
 
 // Render: nutze /tmp (stabil, schnell)
-const REPORTS_DIR = path.join('/tmp', 'reports');
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join('/tmp', 'reports');
 if (!fs.existsSync(REPORTS_DIR)) fs.mkdirSync(REPORTS_DIR, { recursive: true });
 
-// VIN-MAP persistent-ish auf /tmp (überlebt meist innerhalb einer Instanz)
+// Ohne festes Secret wären Links nach jedem Neustart ungültig
+const LINK_SECRET = REPORT_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+if (!REPORT_LINK_SECRET) {
+  console.warn('⚠️ REPORT_LINK_SECRET fehlt – Download-Links gelten nur bis zum nächsten Neustart');
+}
+
+// Alte VIN-MAP auf /tmp (wird beim Start einmalig in den Store übernommen)
 const VINMAP_FILE = path.join('/tmp', 'vinmap.json');
 
 // ====================== UTIL ======================
@@ -69,15 +234,9 @@ function log(...args) {
   if (DEBUG) console.log(...args);
 }
 
-function sanitizeVin(vin) {
-  return String(vin || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 25);
-}
-
+// Länge, Zeichensatz und (Nordamerika) Prüfziffer – siehe vin.js
 function isLikelyVin(v) {
-  const s = sanitizeVin(v);
-  if (s.length < 11 || s.length > 17) return false;
-  if (/[IOQ]/.test(s)) return false;
-  return /^[A-HJ-NPR-Z0-9]+$/.test(s);
+  return validateVin(v).valid;
 }
 
 function escapeHtml(s) {
@@ -89,21 +248,31 @@ function escapeHtml(s) {
     .replaceAll("'", '&#039;');
 }
 
-function pick(decodeArr, label) {
-  if (!Array.isArray(decodeArr)) return undefined;
-  const hit = decodeArr.find(d => d.label === label);
-  return hit ? hit.value : undefined;
-}
-
 function makeControlSum(vin, action) {
   const hashString = `${vin}|${action}|${VINCARIO_API_KEY}|${VINCARIO_SECRET_KEY}`;
   return crypto.createHash('sha1').update(hashString).digest('hex').substring(0, 10);
 }
 
-async function getJson(url, headers = {}) {
+async function getJson(url, headers = {}, { timeoutMs = 0 } = {}) {
   const fetch = (await import('node-fetch')).default;
-  const resp = await fetch(url, { headers });
-  const text = await resp.text();
+  const controller = new AbortController();
+  const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  let resp;
+  let text;
+  try {
+    resp = await fetch(url, { headers, signal: controller.signal });
+    text = await resp.text();
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      const err = new Error(`timeout after ${timeoutMs}ms`);
+      err.code = 'ETIMEDOUT';
+      throw err;
+    }
+    throw e;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
 
   let json = {};
   try {
@@ -115,12 +284,160 @@ async function getJson(url, headers = {}) {
   return { ok: resp.ok, status: resp.status, json, rawText: text };
 }
 
-async function vincarioGet(vin, action) {
+// Ohne Abfrage prüfen, ob die Antwort aus dem Cache käme (kostet dann nichts)
+function vincarioIsCached(vin, action) {
+  const hit = store.get('vincario_cache', `${sanitizeVin(vin)}|${action}`);
+  return Boolean(hit && hit.expires_at > Date.now());
+}
+
+// fresh: Cache nicht lesen (z.B. Diebstahl-Monitor), Ergebnis aber für andere cachen
+async function vincarioGet(vin, action, { fresh = false } = {}) {
   const v = sanitizeVin(vin);
+  const cacheKey = `${v}|${action}`;
+  const ttlMs = (VINCARIO_CACHE_TTL_HOURS[action] || 0) * 60 * 60 * 1000;
+
+  if (ttlMs > 0 && !fresh) {
+    const hit = store.get('vincario_cache', cacheKey);
+    if (hit && hit.expires_at > Date.now()) {
+      vincarioCount(action, { hit: true });
+      log('💾 Vincario cache hit:', cacheKey);
+      return { ok: true, status: hit.status, json: hit.json, rawText: JSON.stringify(hit.json), cached: true };
+    }
+    if (hit) store.delete('vincario_cache', cacheKey);
+  }
+
   const controlSum = makeControlSum(v, action);
   const url = `${VINCARIO_BASE_URL}/${VINCARIO_API_KEY}/${controlSum}/${action}/${v}.json`;
   log('🔗 Vincario:', url);
-  return await getJson(url);
+  let r;
+  try {
+    r = await getJson(url, {}, { timeoutMs: VINCARIO_TIMEOUT_MS });
+  } catch (e) {
+    vincarioCount(action, { hit: false, ok: false });
+    throw e;
+  }
+
+  vincarioCount(action, { hit: false, ok: r.ok, json: r.json });
+
+  if (ttlMs > 0 && r.ok && !r.json?.error) {
+    store.set('vincario_cache', cacheKey, {
+      status: r.status,
+      json: stripInternalFields(r.json),
+      expires_at: Date.now() + ttlMs
+    });
+  }
+
+  return { ...r, cached: false };
+}
+
+// ====================== VINCARIO ACCOUNTING ======================
+// Pro Tag (UTC) und Action: Cache-Hits, Misses, Fehler und Kosten laut Vincario (price/balance)
+function vincarioCount(action, { hit, ok = true, json = null }) {
+  const day = new Date().toISOString().slice(0, 10);
+  const stats = store.get('vincario_stats', day) || { day, actions: {} };
+  const a = stats.actions[action] || { hits: 0, misses: 0, errors: 0, spend: 0 };
+
+  if (hit) {
+    a.hits += 1;
+  } else {
+    a.misses += 1;
+    if (!ok) a.errors += 1;
+    const price = Number(json?.price);
+    if (Number.isFinite(price)) a.spend = Math.round((a.spend + price) * 10000) / 10000;
+    if (json?.price_currency) stats.currency = json.price_currency;
+    if (json?.balance !== undefined && json?.balance !== null) {
+      stats.balance = json.balance;
+      stats.balance_at = new Date().toISOString();
+    }
+  }
+
+  stats.actions[action] = a;
+
+  // Budget überschritten: Admin einmal pro Tag informieren
+  const spent = Math.round(Object.values(stats.actions).reduce((sum, x) => sum + x.spend, 0) * 10000) / 10000;
+  const alert = VINCARIO_DAILY_BUDGET > 0 && spent >= VINCARIO_DAILY_BUDGET && !stats.budget_exceeded_at;
+  if (alert) stats.budget_exceeded_at = new Date().toISOString();
+  store.set('vincario_stats', day, stats);
+
+  if (alert) {
+    console.warn(`⚠️ Vincario-Tagesbudget erreicht: ${spent} / ${VINCARIO_DAILY_BUDGET} ${stats.currency || ''}`);
+    sendAdminAlert('vincario_budget', {
+      id: day,
+      fields: { day, spent, budget: VINCARIO_DAILY_BUDGET, currency: stats.currency || null, balance: stats.balance ?? null },
+      hint: 'Die Vorschau (/api/report/:vin) liefert bis Mitternacht (UTC) nur noch gecachte VINs. Bezahlte Bestellungen laufen weiter.'
+    });
+  }
+}
+
+function vincarioSpendToday() {
+  const stats = store.get('vincario_stats', new Date().toISOString().slice(0, 10));
+  const spent = Object.values(stats?.actions || {}).reduce((sum, a) => sum + a.spend, 0);
+  return Math.round(spent * 10000) / 10000;
+}
+
+function vincarioBudgetExceeded() {
+  return VINCARIO_DAILY_BUDGET > 0 && vincarioSpendToday() >= VINCARIO_DAILY_BUDGET;
+}
+
+function vincarioStats({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const rows = store
+    .entries('vincario_stats')
+    .map(([, st]) => st)
+    .filter(st => st.day >= since)
+    .sort((a, b) => a.day.localeCompare(b.day));
+
+  const totals = { hits: 0, misses: 0, errors: 0, spend: 0 };
+  for (const st of rows) {
+    for (const a of Object.values(st.actions)) {
+      totals.hits += a.hits;
+      totals.misses += a.misses;
+      totals.errors += a.errors;
+      totals.spend += a.spend;
+    }
+  }
+  totals.spend = Math.round(totals.spend * 10000) / 10000;
+
+  const latest = [...rows].reverse().find(st => st.balance !== undefined);
+  return {
+    days: rows,
+    totals,
+    currency: latest?.currency || rows.find(st => st.currency)?.currency || null,
+    balance: latest?.balance ?? null,
+    balance_at: latest?.balance_at || null,
+    budget: { daily: VINCARIO_DAILY_BUDGET || null, spent_today: vincarioSpendToday(), exceeded: vincarioBudgetExceeded() },
+    cache_ttl_hours: VINCARIO_CACHE_TTL_HOURS
+  };
+}
+
+// Wie vincarioGet, wirft aber nie: Fehler landen strukturiert in `error`
+// (kind: timeout | network_error | http_error | api_error)
+async function vincarioCheck(vin, action, opts = {}) {
+  const started = Date.now();
+  try {
+    const r = await vincarioGet(vin, action, opts);
+    if (r.ok) return { ...r, error: null };
+
+    const message = r.json?.message || (typeof r.json?.error === 'string' ? r.json.error : null) || r.rawText?.slice(0, 300) || null;
+    return {
+      ...r,
+      error: { kind: 'http_error', action, http_status: r.status, message, duration_ms: Date.now() - started }
+    };
+  } catch (e) {
+    return {
+      ok: false,
+      status: 0,
+      json: {},
+      rawText: '',
+      error: {
+        kind: e.code === 'ETIMEDOUT' ? 'timeout' : 'network_error',
+        action,
+        http_status: null,
+        message: e.message,
+        duration_ms: Date.now() - started
+      }
+    };
+  }
 }
 
 function stripInternalFields(obj) {
@@ -145,27 +462,211 @@ function summarizeStolen(stolenJson) {
   };
 }
 
+// Zahlen von Vincario kommen meist als number; Strings können "12,500", "12.500,00" oder "5,6" sein.
+// Beide Trenner vorhanden => der letzte ist das Dezimalzeichen. Nur einer: mehrfach oder genau
+// drei Ziffern dahinter (und nicht "0,xxx") => Tausender, sonst Dezimalzeichen.
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+
+  let str = String(v).replace(/[^0-9.,-]/g, '');
+  const lastDot = str.lastIndexOf('.');
+  const lastComma = str.lastIndexOf(',');
+  if (lastDot >= 0 && lastComma >= 0) {
+    const dec = lastDot > lastComma ? '.' : ',';
+    const thousands = dec === '.' ? ',' : '.';
+    str = str.replaceAll(thousands, '').replace(dec, '.');
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const sep = lastDot >= 0 ? '.' : ',';
+    const parts = str.split(sep);
+    const isThousands = parts.length > 2 || (parts[1].length === 3 && !/^-?0?$/.test(parts[0]));
+    str = isThousands ? parts.join('') : parts.join('.');
+  }
+
+  if (!/^-?\d+(\.\d+)?$/.test(str)) return null;
+  const n = Number(str);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Vincario vehicle-market-value -> { price: {low, high, average, median}, currency, mileage, sample_size, period }
 function summarizeMarketValue(valueJson) {
   if (!valueJson || valueJson.error) {
     return { available: false, reason: valueJson?.message || 'no_data' };
   }
-  return { available: true, data: valueJson };
+
+  const p = valueJson.market_price || {};
+  const o = valueJson.market_odometer || {};
+
+  const price = {
+    low: toNumber(p.price_below ?? p.price_min),
+    high: toNumber(p.price_above ?? p.price_max),
+    average: toNumber(p.price_avg ?? p.price_average),
+    median: toNumber(p.price_median)
+  };
+
+  if (price.average === null && price.median === null && (price.low === null || price.high === null)) {
+    return { available: false, reason: 'no_price_data' };
+  }
+
+  return {
+    available: true,
+    currency: p.price_currency || null,
+    price,
+    mileage: {
+      average: toNumber(o.odometer_avg ?? o.odometer_average),
+      median: toNumber(o.odometer_median),
+      unit: o.odometer_unit || 'km'
+    },
+    sample_size: toNumber(p.price_count ?? o.odometer_count ?? valueJson.records?.length),
+    period: {
+      from: valueJson.period_from || null,
+      to: valueJson.period_to || null
+    }
+  };
+}
+
+function stolenLabel(status, lang = DEFAULT_LANG) {
+  if (status === 'not-stolen' || status === 'stolen') return t(lang, `stolen.${status}`);
+  return t(lang, 'stolen.unknown');
+}
+
+function formatMoney(value, currency, lang = DEFAULT_LANG) {
+  if (value === null || value === undefined) return '—';
+  try {
+    return new Intl.NumberFormat(intlLocale(lang), { style: 'currency', currency: currency || 'EUR', maximumFractionDigits: 0 }).format(value);
+  } catch {
+    return `${Math.round(value).toLocaleString(intlLocale(lang))} ${currency || ''}`.trim();
+  }
 }
 
-function stolenLabel(status) {
-  if (status === 'not-stolen') return 'Nicht als gestohlen gemeldet';
-  if (status === 'stolen') return 'Achtung: Als gestohlen gemeldet';
-  return 'Unbekannt';
+function formatNumber(value, lang = DEFAULT_LANG, { decimals = 0, grouping = 'auto' } = {}) {
+  if (value === null || value === undefined) return '—';
+  return Number(value).toLocaleString(intlLocale(lang), { maximumFractionDigits: decimals, useGrouping: grouping });
 }
 
-function yesNoUnknown(v) {
-  if (v === null || v === undefined || v === '') return '—';
-  return String(v);
+function formatDate(iso, lang = DEFAULT_LANG) {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? String(iso) : d.toLocaleDateString(intlLocale(lang));
 }
 
-function makeReportId(vin) {
-  const day = new Date().toISOString().slice(0, 10);
-  return crypto.createHash('sha1').update(`${vin}|${day}`).digest('hex').substring(0, 10).toUpperCase();
+function formatDateTime(iso, lang = DEFAULT_LANG) {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? String(iso) : d.toLocaleString(intlLocale(lang));
+}
+
+function marketValueText(market, lang = DEFAULT_LANG) {
+  if (!market?.available) return t(lang, 'market.unavailable', { reason: market?.reason || t(lang, 'market.no_data') });
+  const mid = market.price.average ?? market.price.median;
+  const range = market.price.low !== null && market.price.high !== null
+    ? ` (${formatMoney(market.price.low, market.currency, lang)} – ${formatMoney(market.price.high, market.currency, lang)})`
+    : '';
+  return t(lang, 'market.approx', { value: formatMoney(mid, market.currency, lang) }) + range;
+}
+
+// Balken von low bis high, Marker für Durchschnitt und Median (Position in %)
+function renderMarketRangeBar(market, lang = DEFAULT_LANG) {
+  const { low, high, average, median } = market.price;
+  if (low === null || high === null || high <= low) return '';
+
+  const pos = v => Math.min(100, Math.max(0, ((v - low) / (high - low)) * 100)).toFixed(1);
+  const marker = (v, cls, label) => v === null ? '' : `
+      <div class="mvMarker ${cls}" style="left:${pos(v)}%"></div>
+      <div class="mvMarkerLabel ${cls}" style="left:${pos(v)}%">${escapeHtml(label)}<br/><b>${escapeHtml(formatMoney(v, market.currency, lang))}</b></div>`;
+
+  return `
+    <div class="mvBarWrap">
+      <div class="mvBar"></div>
+      ${marker(average, 'avg', t(lang, 'market.bar_average'))}
+      ${median !== null && median !== average ? marker(median, 'med', t(lang, 'market.bar_median')) : ''}
+    </div>
+    <div class="mvEnds">
+      <div><div class="small">${escapeHtml(t(lang, 'market.lower'))}</div><b>${escapeHtml(formatMoney(low, market.currency, lang))}</b></div>
+      <div style="text-align:right"><div class="small">${escapeHtml(t(lang, 'market.upper'))}</div><b>${escapeHtml(formatMoney(high, market.currency, lang))}</b></div>
+    </div>`;
+}
+
+// Zahlen nach Sprache ("5,6 l/100km"); Tausendertrenner erst ab 5 Stellen, damit Baujahr/Hubraum lesbar bleiben
+function fieldValueText(value, unit, lang = DEFAULT_LANG) {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = typeof value === 'number' ? formatNumber(value, lang, { decimals: 2, grouping: 'min2' }) : String(value);
+  return unit ? `${text} ${unit}` : text;
+}
+
+function vehicleTitle(v = {}) {
+  return `${v.make || ''} ${v.model || ''} (${v.year || '—'})`.trim();
+}
+
+function sectionFields(section) {
+  return REPORT_FIELDS.fields.filter(f => f.section === section);
+}
+
+// Titel aus dem Sprachkatalog (field.<key> / section.<name>), sonst aus report-fields.json
+function fieldTitle(f, lang) {
+  return t(lang, `field.${f.key}`, {}, f.title || f.key);
+}
+
+function sectionTitle(section, lang) {
+  return t(lang, `section.${section}`, {}, REPORT_FIELDS.sections[section] || section);
+}
+
+function renderSectionLines(vehicle, section, lang = DEFAULT_LANG) {
+  return sectionFields(section)
+    .map(f => `<b>${escapeHtml(fieldTitle(f, lang))}:</b> ${escapeHtml(fieldValueText(vehicle[f.key], f.unit, lang))}`)
+    .join('<br/>\n        ');
+}
+
+function renderSectionRows(vehicle, section, lang = DEFAULT_LANG) {
+  return sectionFields(section)
+    .map((f, i) => `<tr><th${i === 0 ? ' style="width:42%"' : ''}>${escapeHtml(fieldTitle(f, lang))}</th><td>${escapeHtml(fieldValueText(vehicle[f.key], f.unit, lang))}</td></tr>`)
+    .join('\n      ');
+}
+
+// Zufällig (96 Bit) – eine Report-ID darf sich nicht aus VIN/Datum erraten lassen
+function makeReportId() {
+  return crypto.randomBytes(12).toString('hex').toUpperCase();
+}
+
+// JSON mit sortierten Keys, damit der Hash nicht von der Feldreihenfolge abhängt
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(k => value[k] !== undefined)
+      .sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Hash über die Fakten des Reports – Sprache, Theme und Empfänger ändern ihn nicht
+function reportContentHash(report) {
+  const { report_id, vin, generated_at, vehicle, vehicle_extra, checks } = report;
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ report_id, vin, generated_at, vehicle, vehicle_extra, checks }))
+    .digest('hex');
+}
+
+function verifyUrl(reportId) {
+  return `${PUBLIC_BASE_URL}/api/verify/${encodeURIComponent(reportId)}`;
+}
+
+// QR-Code als SVG (synchron, damit die Report-Templates synchron bleiben)
+function qrSvg(text, { size = 88, color = '#0f172a' } = {}) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const n = modules.size;
+  const quiet = 2;
+  let d = '';
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      if (modules.get(y, x)) d += `M${x + quiet} ${y + quiet}h1v1h-1z`;
+    }
+  }
+  const box = n + quiet * 2;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${box} ${box}" shape-rendering="crispEdges"><rect width="${box}" height="${box}" fill="#fff"/><path d="${d}" fill="${color}"/></svg>`;
 }
 
 function safeJson(obj, maxLen = 8000) {
@@ -179,237 +680,837 @@ function safeJson(obj, maxLen = 8000) {
   return s;
 }
 
-// ====================== EMAIL ======================
-let mailer = null;
-
-function getMailer() {
-  if (!EMAIL_ENABLED) return null;
-  if (mailer) return mailer;
+// ====================== FIELD MAPPING ======================
+// report-fields.json: welche Vincario-Decode-Labels (inkl. Aliase) auf welchen
+// vehicle-Key landen, mit Einheit, Abschnitt im PDF und Typ (string | number).
+function loadReportFields(file) {
+  try {
+    const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const fields = Array.isArray(cfg.fields) ? cfg.fields : [];
+    for (const f of fields) {
+      if (!f.key || !Array.isArray(f.labels) || !f.labels.length) {
+        throw new Error(`invalid field definition: ${JSON.stringify(f)}`);
+      }
+      if (f.section && !cfg.sections?.[f.section]) throw new Error(`unknown section "${f.section}" (${f.key})`);
+    }
+    return { sections: cfg.sections || {}, fields };
+  } catch (e) {
+    console.error(`❌ REPORT_FIELDS_FILE ${file} konnte nicht geladen werden:`, e.message);
+    process.exit(1);
+  }
+}
 
-  mailer = nodemailer.createTransport({
-    host: SMTP_HOST,
-    port: SMTP_PORT,
-    secure: SMTP_SECURE,
-    auth: { user: SMTP_USER, pass: SMTP_PASS }
-  });
+const REPORT_FIELDS = loadReportFields(REPORT_FIELDS_FILE);
 
-  return mailer;
+function coerceField(field, value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  if (field.type === 'number') return toNumber(value);
+  return String(value).trim();
 }
 
-async function sendMail({ to, subject, text, html, attachments = [] }) {
-  if (!EMAIL_ENABLED) return { skipped: true };
+// decode-Array -> { vehicle: {key: value}, extra: [nicht gemappte Decode-Felder] }
+function mapDecodeFields(decodeArr, { previewOnly = false } = {}) {
+  const rows = Array.isArray(decodeArr) ? decodeArr : [];
+  const vehicle = {};
+
+  for (const f of REPORT_FIELDS.fields) {
+    if (previewOnly && !f.preview) continue;
+    let value = null;
+    for (const label of f.labels) {
+      const hit = rows.find(d => d?.label === label);
+      value = hit ? coerceField(f, hit.value) : null;
+      if (value !== null) break;
+    }
+    vehicle[f.key] = value;
+  }
 
-  const transporter = getMailer();
-  const info = await transporter.sendMail({
-    from: MAIL_FROM,
-    to,
-    subject,
-    text,
-    html,
-    attachments
-  });
+  const mappedLabels = new Set(REPORT_FIELDS.fields.flatMap(f => f.labels));
+  const extra = rows
+    .filter(d => d?.label && !mappedLabels.has(d.label))
+    .filter(d => d.value !== null && d.value !== undefined && String(d.value).trim() !== '')
+    .map(d => ({ label: d.label, value: d.value, unit: d.unit || null }));
 
-  return info;
+  return { vehicle, extra };
 }
 
-// ====================== REPORT BUILDERS ======================
-async function buildPreviewReport(vin) {
-  const decodeR = await vincarioGet(vin, 'decode');
-  if (!decodeR.ok || !decodeR.json?.decode) {
-    return { ok: false, error: 'decode_failed', status: decodeR.status, raw: decodeR.rawText };
+// ====================== I18N ======================
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const INTL_LOCALES = { de: 'de-DE', en: 'en-GB' };
+
+function loadCatalogs(dir) {
+  const catalogs = {};
+  for (const f of fs.readdirSync(dir)) {
+    if (!f.endsWith('.json')) continue;
+    catalogs[path.basename(f, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
   }
-  const d = decodeR.json.decode;
-  return {
-    ok: true,
-    preview: {
-      vin: sanitizeVin(vin),
-      vehicle: {
-        make: pick(d, 'Make') || null,
-        model: pick(d, 'Model') || null,
-        year: pick(d, 'Model Year') || pick(d, 'Production Year') || null,
-        fuel: pick(d, 'Fuel Type - Primary') || null,
-        transmission: pick(d, 'Transmission') || null,
-        body: pick(d, 'Body') || null
-      }
-    }
-  };
+  if (!catalogs[DEFAULT_LANG]) {
+    console.error(`❌ DEFAULT_LANG "${DEFAULT_LANG}" hat keinen Katalog in ${dir}`);
+    process.exit(1);
+  }
+  return catalogs;
 }
 
-async function buildPremiumReport(vin, email = null) {
-  const decodeR = await vincarioGet(vin, 'decode');
-  if (!decodeR.ok || !decodeR.json?.decode) {
-    return { ok: false, error: 'decode_failed', status: decodeR.status, raw: decodeR.rawText };
+const CATALOGS = loadCatalogs(LOCALES_DIR);
+const SUPPORTED_LANGS = Object.keys(CATALOGS);
+
+// "en-US", "EN", "en_GB" -> "en"; unbekannt -> null
+function normalizeLang(input) {
+  const l = String(input || '').trim().toLowerCase().slice(0, 2);
+  return SUPPORTED_LANGS.includes(l) ? l : null;
+}
+
+// Erste unterstützte Sprache aus den Kandidaten, sonst DEFAULT_LANG
+function resolveLang(...candidates) {
+  for (const c of candidates) {
+    const l = normalizeLang(c);
+    if (l) return l;
   }
+  return DEFAULT_LANG;
+}
 
-  const stolenR = await vincarioGet(vin, 'stolen-check');
-  const valueR = await vincarioGet(vin, 'vehicle-market-value');
+function acceptLanguage(req) {
+  return String(req.headers['accept-language'] || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim())
+    .find(normalizeLang);
+}
 
-  const d = decodeR.json.decode;
-  const v = sanitizeVin(vin);
+// ?lang= / body.lang vor Accept-Language
+function requestLang(req) {
+  return resolveLang(req.query?.lang, req.body?.lang, acceptLanguage(req));
+}
 
-  const report = {
-    vin: v,
-    report_id: makeReportId(v),
-    email,
-    vehicle: {
-      make: pick(d, 'Make') || null,
-      model: pick(d, 'Model') || null,
-      year: pick(d, 'Model Year') || pick(d, 'Production Year') || null,
-      body: pick(d, 'Body') || null,
-      fuel: pick(d, 'Fuel Type - Primary') || null,
-      transmission: pick(d, 'Transmission') || null,
-
-      manufacturer: pick(d, 'Manufacturer') || null,
-      plant_country: pick(d, 'Plant Country') || null,
-
-      engine_ccm: pick(d, 'Engine Displacement (ccm)') || null,
-      engine_code: pick(d, 'Engine Code') || null,
-      engine_type: pick(d, 'Engine Type') || null,
-      drive: pick(d, 'Drive') || null,
-
-      co2_g_km: pick(d, 'CO2 Emission (g/km)') || null,
-      consumption_urban: pick(d, 'Fuel Consumption Urban (l/100km)') || null,
-
-      doors: pick(d, 'Number of Doors') || null,
-      seats: pick(d, 'Number of Seats') || null,
-
-      length_mm: pick(d, 'Length (mm)') || null,
-      width_mm: pick(d, 'Width (mm)') || null,
-      height_mm: pick(d, 'Height (mm)') || null,
-      wheelbase_mm: pick(d, 'Wheelbase (mm)') || null,
-
-      weight_empty_kg: pick(d, 'Weight Empty (kg)') || null,
-      max_weight_kg: pick(d, 'Max Weight (kg)') || null,
-      max_speed_kmh: pick(d, 'Max Speed (km/h)') || null,
-
-      wheel_size: pick(d, 'Wheel Size') || null,
-      brakes_front: pick(d, 'Front Brakes') || null,
-      brake_system: pick(d, 'Brake System') || null,
-      steering_type: pick(d, 'Steering Type') || null,
-      suspension: pick(d, 'Suspension') || null
-    },
-    checks: {
-      stolen: stolenR.ok ? summarizeStolen(stolenR.json) : { available: false, status: 'unavailable' },
-      market_value: valueR.ok ? summarizeMarketValue(valueR.json) : { available: false, reason: 'unavailable' }
-    },
-    vin_decode_raw: stripInternalFields(decodeR.json),
-    generated_at: new Date().toISOString(),
-    disclaimer:
-      'Informationsbericht auf Basis verfügbarer Datenquellen. Keine Garantie für Vollständigkeit, Richtigkeit oder tatsächlichen Zustand des Fahrzeugs.'
-  };
+function interpolate(raw, vars = {}) {
+  return String(raw).replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+}
 
-  return { ok: true, report };
+function t(lang, key, vars = {}, fallback) {
+  return interpolate(CATALOGS[lang]?.[key] ?? CATALOGS[DEFAULT_LANG]?.[key] ?? fallback ?? key, vars);
 }
 
-// ====================== HTML REPORT ======================
-function renderReportHtml(report) {
-  const v = report.vehicle || {};
-  const stolenStatus = report.checks?.stolen?.status || 'unknown';
-  const market = report.checks?.market_value;
+function intlLocale(lang) {
+  return INTL_LOCALES[lang] || lang;
+}
 
-  let verdict = { label: 'Hinweis', color: 'warn', text: 'Keine vollständige Historie verfügbar. Bericht dient zur Orientierung.' };
-  if (stolenStatus === 'not-stolen') verdict = { label: 'OK', color: 'ok', text: 'Kein Treffer im EU-Diebstahlcheck gefunden.' };
-  if (stolenStatus === 'stolen') verdict = { label: 'Achtung', color: 'bad', text: 'Treffer im Diebstahlcheck. Bitte unbedingt prüfen.' };
+// ====================== THEMES ======================
+// Theme-Werte landen im <style>-Block – nur gefahrlose Zeichen durchlassen
+function cssValue(v) {
+  return String(v ?? '').replace(/[<>{};\\]/g, '');
+}
 
-  const title = `${v.make || ''} ${v.model || ''} (${v.year || '—'})`.trim();
-  const marketText = market?.available ? 'Verfügbar' : `Nicht verfügbar (${market?.reason || 'keine Daten'})`;
+// Partner-Branding: jedes Theme überschreibt nur, was es mitbringt – Rest kommt aus "default"
+const LOGO_MIME = { '.svg': 'image/svg+xml', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
 
-  const stolenDetailsRows = (report.checks?.stolen?.details || [])
-    .map(r => `<tr><td>${escapeHtml(r.source)}</td><td>${escapeHtml(r.status)}</td></tr>`)
-    .join('') || `<tr><td colspan="2">—</td></tr>`;
+function loadThemes(dir) {
+  const raw = {};
+  for (const f of fs.readdirSync(dir)) {
+    if (!f.endsWith('.json')) continue;
+    raw[path.basename(f, '.json').toLowerCase()] = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+  }
+  if (!raw.default) {
+    console.error(`❌ Theme "default" fehlt in ${dir}`);
+    process.exit(1);
+  }
 
-  return `<!doctype html>
-<html lang="de">
-<head>
-<meta charset="utf-8" />
-<meta name="viewport" content="width=device-width,initial-scale=1" />
-<title>FZB-24 Fahrzeugbericht</title>
-<style>
-  :root{
-    --brandRed:#9F1239;
-    --text:#0f172a;
-    --muted:#475569;
-    --line:rgba(15,23,42,.12);
-    --soft:#f8fafc;
-    --ok:#16a34a;
-    --warn:#f59e0b;
-    --bad:#ef4444;
+  const themes = {};
+  for (const [id, th] of Object.entries(raw)) {
+    const base = id === 'default' ? {} : raw.default;
+    let logo = null;
+    const logoFile = th.logo === undefined ? base.logo : th.logo;
+    if (logoFile) {
+      const mime = LOGO_MIME[path.extname(logoFile).toLowerCase()];
+      if (!mime) {
+        console.error(`❌ Theme "${id}": Logo-Format nicht unterstützt (${logoFile})`);
+        process.exit(1);
+      }
+      const buf = fs.readFileSync(path.join(dir, logoFile));
+      logo = { mime, buffer: buf, data_uri: `data:${mime};base64,${buf.toString('base64')}` };
+    }
+    themes[id] = {
+      id,
+      name: th.name || base.name || id,
+      logo,
+      font_family: th.font_family || base.font_family,
+      colors: { ...(base.colors || {}), ...(th.colors || {}) },
+      texts: th.texts || {},
+      clients: th.clients || []
+    };
   }
-  *{box-sizing:border-box}
-  body{margin:0;font-family:ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Arial;color:var(--text);background:#fff}
-  .page{padding:22px 24px;page-break-after:always}
-  .page:last-child{page-break-after:auto}
-  .header{display:flex;justify-content:space-between;align-items:flex-start;gap:16px;margin-bottom:12px}
-  .brand{font-weight:950;font-size:18px;color:var(--text)}
-  .sub{color:var(--muted);font-size:12px;margin-top:3px;line-height:1.4}
-  .chip{
-    display:inline-block;padding:8px 10px;border-radius:999px;
-    border:1px solid rgba(225,29,72,.25);
-    color:var(--text);font-size:12px;white-space:nowrap;
+  if (!themes[DEFAULT_THEME]) {
+    console.error(`❌ DEFAULT_THEME "${DEFAULT_THEME}" nicht gefunden in ${dir}`);
+    process.exit(1);
   }
-  .topline{
-    border:1px solid var(--line);
-    border-radius:16px;
-    padding:12px 14px;
-    background:linear-gradient(180deg,#0b1220,#0f1a33);
-    color:#fff;
-    position:relative;
-    overflow:hidden;
-    margin-bottom:12px;
+  return themes;
+}
+
+const THEMES = loadThemes(THEMES_DIR);
+
+function normalizeTheme(input) {
+  const id = String(input || '').trim().toLowerCase();
+  return THEMES[id] ? id : null;
+}
+
+// API-Client -> Theme (Feld "clients" im Theme-JSON)
+function themeForClient(clientId) {
+  if (!clientId) return null;
+  const th = Object.values(THEMES).find(x => x.clients.includes(String(clientId)));
+  return th ? th.id : null;
+}
+
+// Erstes bekanntes Theme aus den Kandidaten, sonst DEFAULT_THEME
+function resolveTheme(...candidates) {
+  for (const c of candidates) {
+    const id = normalizeTheme(c);
+    if (id) return id;
   }
-  .topline:before{content:"";position:absolute;left:0;top:0;bottom:0;width:12px;background:var(--brandRed);}
-  .h1{font-size:20px;font-weight:950;margin:0 0 4px 0}
-  .meta{color:#e2e8f0;opacity:.95;font-size:12px}
-  .grid{display:grid;grid-template-columns:1.1fr .9fr;gap:12px}
-  .twoCol{display:grid;grid-template-columns:1fr 1fr;gap:12px}
-  .box{border:1px solid var(--line);border-radius:14px;padding:12px;background:#fff}
-  .secH{font-size:13px;font-weight:950;margin:0 0 8px 0;color:var(--text);padding-left:10px;border-left:4px solid var(--brandRed);}
-  .para{color:var(--muted);font-size:12px;line-height:1.6}
-  .pill{display:flex;gap:10px;align-items:flex-start;border:1px solid var(--line);border-radius:14px;padding:10px 12px;background:#fff;margin-bottom:10px}
-  .dot{width:10px;height:10px;border-radius:50%;margin-top:4px}
-  .dot.ok{background:var(--ok)} .dot.warn{background:var(--warn)} .dot.bad{background:var(--bad)}
-  .small{color:var(--muted);font-size:12px;line-height:1.5}
-  .table{width:100%;border-collapse:separate;border-spacing:0;overflow:hidden;border-radius:14px;border:1px solid rgba(15,23,42,.14);margin-top:8px;}
-  .table th,.table td{padding:10px 12px;border-bottom:1px solid rgba(15,23,42,.08);font-size:12px;color:var(--text);background:#fff;}
-  .table th{background:var(--soft);text-align:left;}
-  .table tr:last-child td{border-bottom:none}
-</style>
-</head>
-<body>
+  return DEFAULT_THEME;
+}
 
-<div class="page">
-  <div class="header">
-    <div>
-      <div class="brand">FZB-24 Fahrzeugbericht</div>
-      <div class="sub">
-        Erstellt am ${escapeHtml(new Date(report.generated_at).toLocaleDateString('de-DE'))}
-        · Report-ID <span style="color:var(--brandRed);font-weight:900">${escapeHtml(report.report_id)}</span>
-      </div>
-    </div>
-    <div class="chip">VIN: ${escapeHtml(report.vin)}</div>
-  </div>
+// Partner-Branding nur für authentifizierte Aufrufer: ?theme= / body.theme von Admin, API-Key
+// oder signiertem Shop-Webhook, Kunden-Theme nur über den API-Key. Öffentliche Routen => DEFAULT_THEME.
+function mayChooseTheme(req) {
+  return Boolean(req.apiKey || req.isAdmin || req.webhookVerified);
+}
 
-  <div class="topline">
-    <div class="h1">${escapeHtml(title || 'Fahrzeug')}</div>
-    <div class="meta">${escapeHtml(v.body || '—')} · ${escapeHtml(v.fuel || '—')} · ${escapeHtml(v.transmission || '—')}</div>
-  </div>
+function requestTheme(req) {
+  const explicit = mayChooseTheme(req) ? [req.query?.theme, req.body?.theme] : [];
+  return resolveTheme(...explicit, themeForClient(req.apiKey?.client_id));
+}
 
-  <div class="grid">
-    <div class="box">
-      <div class="secH">Fahrzeugübersicht</div>
-      <table class="table">
-        <tbody>
-          <tr><th style="width:42%">Hersteller</th><td>${escapeHtml(v.manufacturer || v.make || '—')}</td></tr>
-          <tr><th>Produktionsland</th><td>${escapeHtml(v.plant_country || '—')}</td></tr>
-          <tr><th>Motor</th><td>${escapeHtml(v.engine_code || '—')} ${v.engine_ccm ? '(' + escapeHtml(v.engine_ccm) + ' ccm)' : ''}</td></tr>
-          <tr><th>Antrieb</th><td>${escapeHtml(v.drive || '—')}</td></tr>
-          <tr><th>CO₂</th><td>${escapeHtml(v.co2_g_km ?? '—')} g/km</td></tr>
-          <tr><th>Höchstgeschwindigkeit</th><td>${escapeHtml(v.max_speed_kmh ?? '—')} km/h</td></tr>
-        </tbody>
-      </table>
+// Explizit angefragtes, aber unbekanntes Theme (Tippfehler sollen nicht still im Default-Branding landen)
+function unknownRequestedTheme(req) {
+  const requested = mayChooseTheme(req) ? req.query?.theme || req.body?.theme : null;
+  return requested && !normalizeTheme(requested) ? String(requested) : null;
+}
 
-      <div class="pill" style="margin-top:10px">
-        <span class="dot ${escapeHtml(verdict.color)}"></span>
+function getTheme(id) {
+  return THEMES[normalizeTheme(id) || DEFAULT_THEME];
+}
+
+// Theme-Texte vor dem Sprachkatalog
+function themeT(theme, lang, key, vars = {}, fallback) {
+  const override = theme?.texts?.[lang]?.[key];
+  return override !== undefined ? interpolate(override, vars) : t(lang, key, vars, fallback);
+}
+
+// ====================== EMAIL ======================
+// Jeder Transport: send(message) -> { messageId, accepted, rejected }. Neue Transporte hier eintragen.
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    auth: { user: SMTP_USER, pass: SMTP_PASS }
+  });
+  return {
+    describe: () => `SMTP=${SMTP_HOST}:${SMTP_PORT} secure=${SMTP_SECURE}`,
+    send: message => transporter.sendMail(message)
+  };
+}
+
+function outboxName(date, messageId) {
+  const id = String(messageId || '').replace(/[<>]/g, '').split('@')[0].replace(/[^a-zA-Z0-9-]/g, '');
+  return `${date.toISOString().replace(/[:.]/g, '-')}_${id}`;
+}
+
+// Lokales Testen: komplette Mail als .eml, Anhänge zusätzlich einzeln daneben
+function createOutboxTransport(dir) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    describe: () => `outbox=${dir}`,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const now = new Date();
+      const name = outboxName(now, info.messageId);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `${name}.eml`), info.message);
+
+      const attachments = [];
+      for (const a of message.attachments || []) {
+        if (!a.path) continue;
+        fs.mkdirSync(path.join(dir, name), { recursive: true });
+        const file = path.basename(a.filename || a.path);
+        fs.copyFileSync(a.path, path.join(dir, name, file));
+        attachments.push(file);
+      }
+
+      const meta = { name, message_id: info.messageId, date: now.toISOString(), from: message.from, to: message.to, subject: message.subject, attachments };
+      fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(meta, null, 2));
+      return { messageId: info.messageId, accepted: info.envelope.to, rejected: [], outbox: name };
+    }
+  };
+}
+
+// Nur protokollieren: eine JSON-Zeile pro Mail (Anhänge nur als Dateiname/Pfad)
+function createJsonLogTransport(file) {
+  return {
+    describe: () => `json=${file}`,
+    async send(message) {
+      const messageId = `<${crypto.randomUUID()}@fzb24.local>`;
+      const to = [].concat(message.to || []).map(String);
+      const entry = {
+        at: new Date().toISOString(),
+        message_id: messageId,
+        from: message.from,
+        to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html || null,
+        attachments: (message.attachments || []).map(a => ({ filename: a.filename, path: a.path }))
+      };
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+      return { messageId, accepted: to, rejected: [] };
+    }
+  };
+}
+
+const MAIL_TRANSPORTS = {
+  smtp: () => createSmtpTransport(),
+  outbox: () => createOutboxTransport(MAIL_OUTBOX_DIR),
+  json: () => createJsonLogTransport(MAIL_LOG_FILE)
+};
+
+if (!MAIL_TRANSPORTS[MAIL_TRANSPORT]) {
+  console.error(`❌ Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" (${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+  process.exit(1);
+}
+
+let mailTransport = null;
+
+function getMailTransport() {
+  if (!EMAIL_ENABLED) return null;
+  if (!mailTransport) mailTransport = MAIL_TRANSPORTS[MAIL_TRANSPORT]();
+  return mailTransport;
+}
+
+// Outbox lesen (Admin): neueste zuerst
+function outboxList({ limit = 50 } = {}) {
+  if (!fs.existsSync(MAIL_OUTBOX_DIR)) return [];
+  return fs
+    .readdirSync(MAIL_OUTBOX_DIR)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .reverse()
+    .slice(0, limit)
+    .map(f => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(MAIL_OUTBOX_DIR, f), 'utf8'));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function jsonMailLogList({ limit = 50 } = {}) {
+  if (!fs.existsSync(MAIL_LOG_FILE)) return [];
+  return fs
+    .readFileSync(MAIL_LOG_FILE, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .slice(-limit)
+    .reverse()
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .map(({ text, html, ...m }) => m);
+}
+
+// Jede Mail wird in der Collection "mails" protokolliert (inkl. Inhalt, damit sie erneut gesendet werden kann)
+// und – falls zu einer Bestellung gehörig – als Kurzeintrag in order.mail_log.
+const MAIL_LOG_MAX = 20;
+
+function mailGet(id) {
+  return store.get('mails', id) || null;
+}
+
+function mailList({ status, purchaseFlowId } = {}) {
+  return store
+    .entries('mails')
+    .map(([, m]) => m)
+    .filter(m => (!status || m.status === status) && (!purchaseFlowId || m.purchaseFlowId === purchaseFlowId))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+function mailOrderLog(mail) {
+  if (!mail.purchaseFlowId || !orderGet(mail.purchaseFlowId)) return;
+  const entry = {
+    mail_id: mail.id,
+    template: mail.template,
+    to: mail.to,
+    status: mail.status,
+    message_id: mail.message_id || null,
+    rejected: mail.rejected || [],
+    error: mail.error || null,
+    at: mail.updated_at
+  };
+  const prev = (orderGet(mail.purchaseFlowId).mail_log || []).filter(e => e.mail_id !== mail.id);
+  orderUpsert(mail.purchaseFlowId, { mail_log: [...prev, entry].slice(-MAIL_LOG_MAX) });
+}
+
+async function deliverMail(mail) {
+  mail.attempts = (mail.attempts || 0) + 1;
+
+  if (!EMAIL_ENABLED) {
+    Object.assign(mail, { status: 'skipped', updated_at: new Date().toISOString() });
+    store.set('mails', mail.id, mail);
+    mailOrderLog(mail);
+    return { skipped: true, mail_id: mail.id };
+  }
+
+  try {
+    const info = await getMailTransport().send({
+      from: MAIL_FROM,
+      to: mail.to,
+      subject: mail.subject,
+      text: mail.text,
+      html: mail.html,
+      attachments: mail.attachments
+    });
+    const accepted = (info.accepted || []).map(String);
+    const rejected = (info.rejected || []).map(String);
+    Object.assign(mail, {
+      status: accepted.length ? 'sent' : 'rejected',
+      transport: MAIL_TRANSPORT,
+      outbox: info.outbox || undefined,
+      message_id: info.messageId || null,
+      accepted,
+      rejected,
+      error: accepted.length ? null : 'all_recipients_rejected',
+      updated_at: new Date().toISOString()
+    });
+    // Niemand hat die Mail angenommen => wie ein Sendefehler behandeln (Job wiederholt bzw. Dead-Letter)
+    if (!accepted.length) {
+      const err = new Error(`all_recipients_rejected: ${rejected.join(', ') || mail.to}`);
+      err.mail_id = mail.id;
+      throw err;
+    }
+    return { ...info, mail_id: mail.id };
+  } catch (err) {
+    if (mail.status !== 'rejected') Object.assign(mail, { status: 'failed', error: err.message, updated_at: new Date().toISOString() });
+    throw err;
+  } finally {
+    if (mail.status !== 'skipped') {
+      store.set('mails', mail.id, mail);
+      mailOrderLog(mail);
+    }
+  }
+}
+
+async function sendMail({ to, subject, text, html, attachments = [], template = null, purchaseFlowId = null }) {
+  const now = new Date().toISOString();
+  const mail = {
+    id: `mail_${crypto.randomBytes(6).toString('hex')}`,
+    template,
+    purchaseFlowId,
+    to,
+    subject,
+    text,
+    html,
+    // nur Pfad-Anhänge (PDF), damit der Log-Eintrag klein bleibt
+    attachments: attachments.map(a => ({ filename: a.filename, path: a.path })),
+    status: 'pending',
+    attempts: 0,
+    created_at: now,
+    updated_at: now
+  };
+  return deliverMail(mail);
+}
+
+// Gespeicherte Mail erneut senden (Anhänge müssen noch existieren)
+async function mailRetry(id) {
+  const mail = mailGet(id);
+  if (!mail) return { ok: false, error: 'not_found' };
+  const missing = (mail.attachments || []).filter(a => a.path && !fs.existsSync(a.path));
+  if (missing.length) return { ok: false, error: 'attachment_missing', files: missing.map(a => a.filename) };
+  try {
+    const info = await deliverMail(mail);
+    return { ok: true, status: mail.status, message_id: info.messageId || null };
+  } catch (err) {
+    return { ok: false, error: 'send_failed', details: err.message };
+  }
+}
+
+// ====================== MAIL TEMPLATES ======================
+// {{var}} wird im HTML escaped, {{{var}}} nicht (nur für im Code gebautes HTML)
+function loadMailTemplates(dir) {
+  const templates = {};
+  for (const brand of fs.readdirSync(dir)) {
+    const brandDir = path.join(dir, brand);
+    if (!fs.statSync(brandDir).isDirectory()) continue;
+    templates[brand] = {};
+    for (const f of fs.readdirSync(brandDir)) {
+      if (f.endsWith('.html') || f.endsWith('.txt')) templates[brand][f] = fs.readFileSync(path.join(brandDir, f), 'utf8');
+    }
+  }
+
+  const required = ['_layout.html', `report_delivered.${DEFAULT_LANG}.txt`, `order_needs_manual_check.${DEFAULT_LANG}.txt`, `stolen_status_changed.${DEFAULT_LANG}.txt`, `admin_alert.${DEFAULT_LANG}.txt`];
+  const missing = required.filter(f => !templates.default?.[f]);
+  // Admin-Alarme fallen wie alle Templates auf DEFAULT_LANG zurück (Texte kommen ohnehin aus dem ADMIN_LANG-Katalog)
+  if (!missing.length && !templates.default[`admin_alert.${ADMIN_LANG}.txt`]) {
+    console.warn(`⚠️ admin_alert.${ADMIN_LANG}.txt fehlt in ${path.join(dir, 'default')} – Admin-Alarme nutzen admin_alert.${DEFAULT_LANG}.*`);
+  }
+  if (missing.length) {
+    console.error(`❌ Mail-Templates fehlen in ${path.join(dir, 'default')}: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+  return templates;
+}
+
+const MAIL_TEMPLATES = loadMailTemplates(MAIL_TEMPLATES_DIR);
+
+// Pro Datei: Brand + Sprache vor default + Sprache vor Brand + DEFAULT_LANG vor default + DEFAULT_LANG (Sprache geht vor Branding)
+function mailTemplateFile(themeId, file) {
+  const brands = themeId && themeId !== 'default' ? [themeId, 'default'] : ['default'];
+  for (const brand of brands) {
+    if (MAIL_TEMPLATES[brand]?.[file] !== undefined) return MAIL_TEMPLATES[brand][file];
+  }
+  return null;
+}
+
+function mailTemplate(themeId, name, lang, ext) {
+  return mailTemplateFile(themeId, `${name}.${lang}.${ext}`) ?? mailTemplateFile(themeId, `${name}.${DEFAULT_LANG}.${ext}`);
+}
+
+function fillTemplate(tpl, vars, { html = false } = {}) {
+  return String(tpl)
+    .replace(/\{\{\{(\w+)\}\}\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k] ?? '') : ''))
+    .replace(/\{\{(\w+)\}\}/g, (m, k) => {
+      const v = vars[k] === undefined || vars[k] === null ? '' : String(vars[k]);
+      return html ? escapeHtml(v) : v;
+    });
+}
+
+// -> { subject, text, html }; html fällt weg, wenn es für Brand/Sprache kein .html gibt
+function renderMail(name, { lang = DEFAULT_LANG, theme = DEFAULT_THEME, vars = {}, subjectKey } = {}) {
+  const th = getTheme(theme);
+  const all = {
+    lang,
+    brand_name: th.name,
+    color_brand: th.colors.brand,
+    color_text: th.colors.text,
+    color_muted: th.colors.muted,
+    imprint: themeT(th, lang, 'report.imprint', {}, ''),
+    ...vars
+  };
+
+  const subject = themeT(th, lang, subjectKey || `mail.${name}.subject`, all);
+  const text = fillTemplate(mailTemplate(th.id, name, lang, 'txt') || '', all);
+  const content = mailTemplate(th.id, name, lang, 'html');
+  const layout = mailTemplateFile(th.id, '_layout.html');
+  const html = content ? fillTemplate(layout, { ...all, subject, content: fillTemplate(content, all, { html: true }) }, { html: true }) : undefined;
+
+  return { subject, text, html };
+}
+
+async function sendTemplateMail(name, { to, lang, theme, vars, subjectKey, attachments, purchaseFlowId }) {
+  const mail = renderMail(name, { lang, theme, vars, subjectKey });
+  return sendMail({ to, ...mail, attachments, template: name, purchaseFlowId });
+}
+
+// Admin-Alarme: ein Template, Inhalt pro Typ (mail.admin.<type>.*). Fehler nur loggen.
+async function sendAdminAlert(type, { id, purchaseFlowId = null, fields = {}, hint = '', details = '' }) {
+  if (!ADMIN_EMAIL) return null;
+  const tr = key => t(ADMIN_LANG, key, { id });
+  const rows = Object.entries(fields);
+  try {
+    return await sendTemplateMail('admin_alert', {
+      to: ADMIN_EMAIL,
+      lang: ADMIN_LANG,
+      theme: DEFAULT_THEME,
+      subjectKey: `mail.admin.${type}.subject`,
+      purchaseFlowId,
+      vars: {
+        id,
+        title: tr(`mail.admin.${type}.title`),
+        intro: tr(`mail.admin.${type}.intro`),
+        fields_text: rows.map(([k, v]) => `${k}: ${v ?? '—'}`).join('\n'),
+        fields_html: rows
+          .map(([k, v]) => `<tr><th style="text-align:left;padding:4px 8px 4px 0;width:35%">${escapeHtml(k)}</th><td style="padding:4px 0">${escapeHtml(v ?? '—')}</td></tr>`)
+          .join(''),
+        hint,
+        details
+      }
+    });
+  } catch (mailErr) {
+    console.error('❌ Admin-Mail konnte nicht gesendet werden:', mailErr);
+    return null;
+  }
+}
+
+// Kunde: "Bestellung wird manuell geprüft" (reason = Katalog-Key-Suffix)
+async function sendManualCheckMail({ purchaseFlowId, email, lang, theme, reason }) {
+  if (!MAIL_CUSTOMER_MANUAL_CHECK || !email || !email.includes('@')) return null;
+  try {
+    return await sendTemplateMail('order_needs_manual_check', {
+      to: email,
+      lang,
+      theme,
+      purchaseFlowId,
+      vars: { order_id: purchaseFlowId, reason: themeT(getTheme(theme), lang, `mail.order_needs_manual_check.${reason}`) }
+    });
+  } catch (mailErr) {
+    console.error('❌ Kunden-Mail (manuelle Prüfung) konnte nicht gesendet werden:', mailErr.message);
+    return null;
+  }
+}
+
+// ====================== REPORT BUILDERS ======================
+async function buildPreviewReport(vin) {
+  const decodeR = await vincarioGet(vin, 'decode');
+  if (!decodeR.ok || !decodeR.json?.decode) {
+    return { ok: false, error: 'decode_failed', status: decodeR.status, raw: decodeR.rawText };
+  }
+  return {
+    ok: true,
+    preview: {
+      vin: sanitizeVin(vin),
+      vehicle: mapDecodeFields(decodeR.json.decode, { previewOnly: true }).vehicle
+    }
+  };
+}
+
+// Welche Vincario-Actions ein Report ausgelöst hat und was sie laut Vincario gekostet haben (Cache-Treffer = 0)
+function vincarioUsage(calls) {
+  return calls.map(([action, r]) => {
+    const price = Number(r.json?.price);
+    return {
+      action,
+      ok: Boolean(r.ok),
+      cached: Boolean(r.cached),
+      price: r.cached ? 0 : Number.isFinite(price) ? price : null,
+      currency: r.json?.price_currency || null
+    };
+  });
+}
+
+// Ergebnis enthält `vincario` (Actions + Preise) für die Nutzungserfassung – nicht an Kunden ausgeben
+async function buildPremiumReport(vin, email = null, { lang = DEFAULT_LANG, theme = DEFAULT_THEME } = {}) {
+  // Erst decode: unbekannte/ungültige VIN => die beiden kostenpflichtigen Checks gar nicht erst abfragen
+  const decodeR = await vincarioCheck(vin, 'decode');
+  if (!decodeR.ok || !decodeR.json?.decode) {
+    return {
+      ok: false,
+      error: 'decode_failed',
+      status: decodeR.status,
+      raw: decodeR.rawText,
+      check_error: decodeR.error || { kind: 'api_error', action: 'decode', http_status: decodeR.status, message: 'no decode data' },
+      vincario: vincarioUsage([['decode', decodeR]])
+    };
+  }
+
+  // stolen-check und market-value hängen nicht voneinander ab => parallel
+  const [stolenR, valueR] = await Promise.all([vincarioCheck(vin, 'stolen-check'), vincarioCheck(vin, 'vehicle-market-value')]);
+  const vincario = vincarioUsage([['decode', decodeR], ['stolen-check', stolenR], ['vehicle-market-value', valueR]]);
+
+  const mapped = mapDecodeFields(decodeR.json.decode);
+  const v = sanitizeVin(vin);
+
+  const report = {
+    vin: v,
+    report_id: makeReportId(),
+    email,
+    vehicle: mapped.vehicle,
+    vehicle_extra: mapped.extra,
+    checks: {
+      stolen: stolenR.ok
+        ? summarizeStolen(stolenR.json)
+        : { available: false, status: 'unavailable', error: stolenR.error },
+      market_value: valueR.ok
+        ? summarizeMarketValue(valueR.json)
+        : { available: false, reason: checkErrorReason(valueR.error), error: valueR.error }
+    },
+    vin_decode_raw: stripInternalFields(decodeR.json),
+    market_value_raw: valueR.ok ? stripInternalFields(valueR.json) : null,
+    generated_at: new Date().toISOString(),
+    lang,
+    theme,
+    disclaimer: themeT(getTheme(theme), lang, 'report.disclaimer')
+  };
+
+  report.missing_checks = missingChecks(report);
+  report.content_hash = reportContentHash(report);
+
+  return { ok: true, report, vincario };
+}
+
+function checkErrorReason(error) {
+  return error?.kind === 'timeout' ? 'timeout' : 'unavailable';
+}
+
+// Checks, die nicht geliefert werden konnten (Fehler/Timeout – "keine Daten" zählt nicht)
+function missingChecks(report) {
+  return Object.entries(report.checks || {})
+    .filter(([, c]) => c?.error)
+    .map(([name]) => name);
+}
+
+// Soll der Report trotz fehlender Checks ausgeliefert werden?
+function reportHoldReason(report) {
+  if (REPORT_INCOMPLETE_POLICY !== 'hold') return null;
+  const missing = (report.missing_checks || []).filter(c => REPORT_REQUIRED_CHECKS.includes(c));
+  return missing.length ? `missing_checks: ${missing.join(', ')}` : null;
+}
+
+// ====================== HTML REPORT ======================
+// Grundstil aller Report-Seiten (Report, Vergleich) – Farben und Schrift aus dem Theme
+function reportCss(theme) {
+  const c = theme.colors;
+  return `  :root{
+    --brandRed:${cssValue(c.brand)};
+    --text:${cssValue(c.text)};
+    --muted:${cssValue(c.muted)};
+    --line:rgba(15,23,42,.12);
+    --soft:#f8fafc;
+    --ok:${cssValue(c.ok)};
+    --warn:${cssValue(c.warn)};
+    --bad:${cssValue(c.bad)};
+    --headerFrom:${cssValue(c.header_from)};
+    --headerTo:${cssValue(c.header_to)};
+  }
+  *{box-sizing:border-box}
+  body{margin:0;font-family:${cssValue(theme.font_family)};color:var(--text);background:#fff}
+  .page{padding:22px 24px;page-break-after:always}
+  .page:last-child{page-break-after:auto}
+  .header{display:flex;justify-content:space-between;align-items:flex-start;gap:16px;margin-bottom:12px}
+  .brand{font-weight:950;font-size:18px;color:var(--text);display:flex;align-items:center;gap:10px}
+  .logo{height:28px;width:auto}
+  .verify{display:flex;gap:10px;align-items:center;margin-top:14px;padding-top:8px;border-top:1px solid var(--line);color:var(--muted);font-size:10px;line-height:1.5;page-break-inside:avoid}
+  .verify svg{flex:none}
+  .hash{font-family:ui-monospace,Menlo,Consolas,monospace;word-break:break-all}
+  .imprint{margin-top:6px;color:var(--muted);font-size:10px;line-height:1.4}
+  .sub{color:var(--muted);font-size:12px;margin-top:3px;line-height:1.4}
+  .chip{
+    display:inline-block;padding:8px 10px;border-radius:999px;
+    border:1px solid color-mix(in srgb,var(--brandRed) 25%,transparent);
+    color:var(--text);font-size:12px;white-space:nowrap;
+  }
+  .topline{
+    border:1px solid var(--line);
+    border-radius:16px;
+    padding:12px 14px;
+    background:linear-gradient(180deg,var(--headerFrom),var(--headerTo));
+    color:#fff;
+    position:relative;
+    overflow:hidden;
+    margin-bottom:12px;
+  }
+  .topline:before{content:"";position:absolute;left:0;top:0;bottom:0;width:12px;background:var(--brandRed);}
+  .h1{font-size:20px;font-weight:950;margin:0 0 4px 0}
+  .meta{color:#e2e8f0;opacity:.95;font-size:12px}
+  .grid{display:grid;grid-template-columns:1.1fr .9fr;gap:12px}
+  .twoCol{display:grid;grid-template-columns:1fr 1fr;gap:12px}
+  .box{border:1px solid var(--line);border-radius:14px;padding:12px;background:#fff}
+  .secH{font-size:13px;font-weight:950;margin:0 0 8px 0;color:var(--text);padding-left:10px;border-left:4px solid var(--brandRed);}
+  .para{color:var(--muted);font-size:12px;line-height:1.6}
+  .pill{display:flex;gap:10px;align-items:flex-start;border:1px solid var(--line);border-radius:14px;padding:10px 12px;background:#fff;margin-bottom:10px}
+  .dot{width:10px;height:10px;border-radius:50%;margin-top:4px}
+  .dot.ok{background:var(--ok)} .dot.warn{background:var(--warn)} .dot.bad{background:var(--bad)}
+  .small{color:var(--muted);font-size:12px;line-height:1.5}
+  .table{width:100%;border-collapse:separate;border-spacing:0;overflow:hidden;border-radius:14px;border:1px solid rgba(15,23,42,.14);margin-top:8px;}
+  .table th,.table td{padding:10px 12px;border-bottom:1px solid rgba(15,23,42,.08);font-size:12px;color:var(--text);background:#fff;}
+  .table th{background:var(--soft);text-align:left;}
+  .table tr:last-child td{border-bottom:none}
+  .mvBarWrap{position:relative;height:92px;margin:18px 8px 0 8px}
+  .mvBar{position:absolute;left:0;right:0;top:54px;height:14px;border-radius:999px;background:linear-gradient(90deg,var(--ok),var(--warn),var(--brandRed))}
+  .mvMarker{position:absolute;top:46px;width:3px;height:30px;margin-left:-1px;background:var(--text);border-radius:2px}
+  .mvMarker.med{background:var(--muted)}
+  .mvMarkerLabel{position:absolute;top:0;transform:translateX(-50%);font-size:11px;text-align:center;white-space:nowrap;color:var(--text)}
+  .mvMarkerLabel.med{top:78px;color:var(--muted)}
+  .mvEnds{display:flex;justify-content:space-between;margin:22px 8px 0 8px;font-size:13px}`;
+}
+
+function renderReportHtml(report) {
+  const lang = normalizeLang(report.lang) || DEFAULT_LANG;
+  const theme = getTheme(report.theme);
+  const tr = (key, vars) => themeT(theme, lang, key, vars);
+  const c = theme.colors;
+  const v = report.vehicle || {};
+  const stolenStatus = report.checks?.stolen?.status || 'unknown';
+  const market = report.checks?.market_value;
+
+  let verdict = { label: tr('verdict.hint.label'), color: 'warn', text: tr('verdict.hint.text') };
+  if (stolenStatus === 'not-stolen') verdict = { label: tr('verdict.ok.label'), color: 'ok', text: tr('verdict.ok.text') };
+  if (stolenStatus === 'stolen') verdict = { label: tr('verdict.bad.label'), color: 'bad', text: tr('verdict.bad.text') };
+
+  const title = vehicleTitle(v);
+  const marketText = marketValueText(market, lang);
+
+  const stolenDetailsRows = (report.checks?.stolen?.details || [])
+    .map(r => `<tr><td>${escapeHtml(r.source)}</td><td>${escapeHtml(r.status)}</td></tr>`)
+    .join('') || `<tr><td colspan="2">—</td></tr>`;
+
+  const extraRows = (report.vehicle_extra || [])
+    .map((r, i) => `<tr><th${i === 0 ? ' style="width:42%"' : ''}>${escapeHtml(r.label)}</th><td>${escapeHtml(fieldValueText(r.value, r.unit, lang))}</td></tr>`)
+    .join('');
+
+  const brandHtml = theme.logo
+    ? `<div class="brand"><img class="logo" src="${theme.logo.data_uri}" alt="${escapeHtml(theme.name)}" />${escapeHtml(tr('report.title'))}</div>`
+    : `<div class="brand">${escapeHtml(tr('report.title'))}</div>`;
+
+  const imprint = themeT(theme, lang, 'report.imprint', {}, '');
+  const checkUrl = verifyUrl(report.report_id);
+  const pageFooterHtml = `
+  <div class="verify">
+    ${qrSvg(checkUrl, { size: 64, color: c.text })}
+    <div>
+      <b>${escapeHtml(tr('verify.title'))}</b> · ${escapeHtml(tr('verify.scan', { url: checkUrl }))}
+      ${report.content_hash ? `<br/>${escapeHtml(tr('verify.hash'))}: <span class="hash">${escapeHtml(report.content_hash)}</span>` : ''}
+    </div>
+  </div>
+  ${imprint ? `<div class="imprint">${escapeHtml(imprint)}</div>` : ''}`;
+
+  return `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>${escapeHtml(tr('report.title'))}</title>
+<style>
+${reportCss(theme)}
+</style>
+</head>
+<body>
+
+<div class="page">
+  <div class="header">
+    <div>
+      ${brandHtml}
+      <div class="sub">
+        ${escapeHtml(tr('report.created_on', { date: formatDate(report.generated_at, lang) }))}
+        · ${escapeHtml(tr('report.report_id'))} <span style="color:var(--brandRed);font-weight:900">${escapeHtml(report.report_id)}</span>
+      </div>
+    </div>
+    <div class="chip">VIN: ${escapeHtml(report.vin)}</div>
+  </div>
+
+  <div class="topline">
+    <div class="h1">${escapeHtml(title || tr('report.vehicle_fallback'))}</div>
+    <div class="meta">${escapeHtml(v.body || '—')} · ${escapeHtml(v.fuel || '—')} · ${escapeHtml(v.transmission || '—')}</div>
+  </div>
+
+  <div class="grid">
+    <div class="box">
+      <div class="secH">${escapeHtml(tr('overview.title'))}</div>
+      <table class="table">
+        <tbody>
+          <tr><th style="width:42%">${escapeHtml(tr('overview.manufacturer'))}</th><td>${escapeHtml(v.manufacturer || v.make || '—')}</td></tr>
+          <tr><th>${escapeHtml(tr('overview.plant_country'))}</th><td>${escapeHtml(v.plant_country || '—')}</td></tr>
+          <tr><th>${escapeHtml(tr('overview.engine'))}</th><td>${escapeHtml(v.engine_code || '—')} ${v.engine_ccm ? '(' + escapeHtml(fieldValueText(v.engine_ccm, 'ccm', lang)) + ')' : ''}</td></tr>
+          <tr><th>${escapeHtml(tr('overview.drive'))}</th><td>${escapeHtml(v.drive || '—')}</td></tr>
+          <tr><th>${escapeHtml(tr('overview.co2'))}</th><td>${escapeHtml(fieldValueText(v.co2_g_km, 'g/km', lang))}</td></tr>
+          <tr><th>${escapeHtml(tr('overview.max_speed'))}</th><td>${escapeHtml(fieldValueText(v.max_speed_kmh, 'km/h', lang))}</td></tr>
+        </tbody>
+      </table>
+
+      <div class="pill" style="margin-top:10px">
+        <span class="dot ${escapeHtml(verdict.color)}"></span>
         <div>
           <div style="font-weight:950">${escapeHtml(verdict.label)}</div>
           <div class="small">${escapeHtml(verdict.text)}</div>
@@ -418,159 +1519,388 @@ function renderReportHtml(report) {
     </div>
 
     <div class="box">
-      <div class="secH">Premium Checks</div>
+      <div class="secH">${escapeHtml(tr('checks.title'))}</div>
 
       <div class="pill">
         <span class="dot ${stolenStatus === 'not-stolen' ? 'ok' : (stolenStatus === 'stolen' ? 'bad' : 'warn')}"></span>
         <div>
-          <div style="font-weight:950">Diebstahlcheck (EU)</div>
-          <div class="small">${escapeHtml(stolenLabel(stolenStatus))}</div>
+          <div style="font-weight:950">${escapeHtml(tr('checks.stolen'))}</div>
+          <div class="small">${escapeHtml(stolenLabel(stolenStatus, lang))}</div>
         </div>
       </div>
 
       <div class="pill">
         <span class="dot ${market?.available ? 'ok' : 'warn'}"></span>
         <div>
-          <div style="font-weight:950">Marktwert</div>
+          <div style="font-weight:950">${escapeHtml(tr('checks.market_value'))}</div>
           <div class="small">${escapeHtml(marketText)}</div>
         </div>
       </div>
 
       <div class="small" style="margin-top:10px">
-        Hinweis: ${escapeHtml(report.disclaimer)}
+        ${escapeHtml(tr('common.note'))}: ${escapeHtml(report.disclaimer)}
       </div>
     </div>
   </div>
+  ${pageFooterHtml}
 </div>
 
 <div class="page">
   <div class="header">
     <div>
-      <div class="brand">FZB-24 Fahrzeugbericht</div>
-      <div class="sub">Fahrzeugdetails · VIN ${escapeHtml(report.vin)} · Report-ID ${escapeHtml(report.report_id)}</div>
+      ${brandHtml}
+      <div class="sub">${escapeHtml(tr('page.details'))} · VIN ${escapeHtml(report.vin)} · ${escapeHtml(tr('report.report_id'))} ${escapeHtml(report.report_id)}</div>
     </div>
-    <div class="chip">${escapeHtml(title || 'Fahrzeug')}</div>
+    <div class="chip">${escapeHtml(title || tr('report.vehicle_fallback'))}</div>
   </div>
 
   <div class="twoCol">
     <div class="box">
-      <div class="secH">Allgemein</div>
+      <div class="secH">${escapeHtml(sectionTitle('general', lang))}</div>
       <div class="para">
-        <b>Karosserie:</b> ${escapeHtml(v.body || '—')}<br/>
-        <b>Türen:</b> ${escapeHtml(yesNoUnknown(v.doors))}<br/>
-        <b>Sitze:</b> ${escapeHtml(yesNoUnknown(v.seats))}<br/>
-        <b>Antrieb:</b> ${escapeHtml(v.drive || '—')}<br/>
-        <b>Getriebe:</b> ${escapeHtml(v.transmission || '—')}
+        ${renderSectionLines(v, 'general', lang)}
       </div>
     </div>
 
     <div class="box">
-      <div class="secH">Motor & Umwelt</div>
+      <div class="secH">${escapeHtml(sectionTitle('engine', lang))}</div>
       <div class="para">
-        <b>Motortyp:</b> ${escapeHtml(v.engine_type || '—')}<br/>
-        <b>Motorkennung:</b> ${escapeHtml(v.engine_code || '—')}<br/>
-        <b>Hubraum:</b> ${escapeHtml(yesNoUnknown(v.engine_ccm))} ccm<br/>
-        <b>CO₂:</b> ${escapeHtml(yesNoUnknown(v.co2_g_km))} g/km<br/>
-        <b>Verbrauch (urban):</b> ${escapeHtml(yesNoUnknown(v.consumption_urban))} l/100km
+        ${renderSectionLines(v, 'engine', lang)}
       </div>
     </div>
 
     <div class="box">
-      <div class="secH">Checks</div>
+      <div class="secH">${escapeHtml(tr('checks.box_title'))}</div>
       <div class="para">
-        <b>Diebstahlcheck:</b> ${escapeHtml(stolenLabel(stolenStatus))}<br/>
-        <b>Marktwert:</b> ${escapeHtml(marketText)}
+        <b>${escapeHtml(tr('checks.stolen_short'))}:</b> ${escapeHtml(stolenLabel(stolenStatus, lang))}<br/>
+        <b>${escapeHtml(tr('checks.market_value'))}:</b> ${escapeHtml(marketText)}
       </div>
     </div>
 
     <div class="box">
-      <div class="secH">Herstellung</div>
+      <div class="secH">${escapeHtml(sectionTitle('production', lang))}</div>
       <div class="para">
-        <b>Hersteller:</b> ${escapeHtml(v.manufacturer || '—')}<br/>
-        <b>Produktionsland:</b> ${escapeHtml(v.plant_country || '—')}
+        ${renderSectionLines(v, 'production', lang)}
       </div>
-      <div class="small" style="margin-top:8px">Hinweis: Angaben können je nach Datenquelle variieren.</div>
+      <div class="small" style="margin-top:8px">${escapeHtml(tr('common.note'))}: ${escapeHtml(tr('production.note'))}</div>
     </div>
   </div>
 
   <table class="table" style="margin-top:12px">
     <thead>
-      <tr><th colspan="2">Diebstahlcheck Details (EU-Datenbanken)</th></tr>
-      <tr><th>Quelle</th><th>Status</th></tr>
+      <tr><th colspan="2">${escapeHtml(tr('stolen_details.title'))}</th></tr>
+      <tr><th>${escapeHtml(tr('stolen_details.source'))}</th><th>${escapeHtml(tr('stolen_details.status'))}</th></tr>
     </thead>
     <tbody>
       ${stolenDetailsRows}
     </tbody>
   </table>
+  ${pageFooterHtml}
 </div>
 
 <div class="page">
   <div class="header">
     <div>
-      <div class="brand">FZB-24 Fahrzeugbericht</div>
-      <div class="sub">Technische Daten · VIN ${escapeHtml(report.vin)} · Report-ID ${escapeHtml(report.report_id)}</div>
+      ${brandHtml}
+      <div class="sub">${escapeHtml(tr('page.technical'))} · VIN ${escapeHtml(report.vin)} · ${escapeHtml(tr('report.report_id'))} ${escapeHtml(report.report_id)}</div>
     </div>
-    <div class="chip">${escapeHtml(title || 'Fahrzeug')}</div>
+    <div class="chip">${escapeHtml(title || tr('report.vehicle_fallback'))}</div>
   </div>
 
   <table class="table">
-    <thead><tr><th colspan="2">Technische Daten</th></tr></thead>
+    <thead><tr><th colspan="2">${escapeHtml(sectionTitle('technical', lang))}</th></tr></thead>
     <tbody>
-      <tr><th style="width:42%">Länge</th><td>${escapeHtml(yesNoUnknown(v.length_mm))} mm</td></tr>
-      <tr><th>Breite</th><td>${escapeHtml(yesNoUnknown(v.width_mm))} mm</td></tr>
-      <tr><th>Höhe</th><td>${escapeHtml(yesNoUnknown(v.height_mm))} mm</td></tr>
-      <tr><th>Radstand</th><td>${escapeHtml(yesNoUnknown(v.wheelbase_mm))} mm</td></tr>
-      <tr><th>Leergewicht</th><td>${escapeHtml(yesNoUnknown(v.weight_empty_kg))} kg</td></tr>
-      <tr><th>Max. Gesamtgewicht</th><td>${escapeHtml(yesNoUnknown(v.max_weight_kg))} kg</td></tr>
-      <tr><th>Höchstgeschwindigkeit</th><td>${escapeHtml(yesNoUnknown(v.max_speed_kmh))} km/h</td></tr>
-      <tr><th>Reifengröße</th><td>${escapeHtml(yesNoUnknown(v.wheel_size))}</td></tr>
-      <tr><th>Vordere Bremsen</th><td>${escapeHtml(yesNoUnknown(v.brakes_front))}</td></tr>
-      <tr><th>Bremssystem</th><td>${escapeHtml(yesNoUnknown(v.brake_system))}</td></tr>
-      <tr><th>Lenkung</th><td>${escapeHtml(yesNoUnknown(v.steering_type))}</td></tr>
-      <tr><th>Federung</th><td>${escapeHtml(yesNoUnknown(v.suspension))}</td></tr>
+      ${renderSectionRows(v, 'technical', lang)}
     </tbody>
   </table>
 
   <div class="small" style="margin-top:10px">
-    Tipp: Bei fehlenden Werten liefern die Datenquellen für dieses Modell/VIN keine Angaben.
+    ${escapeHtml(tr('technical.tip'))}
   </div>
+  ${pageFooterHtml}
 </div>
 
+${extraRows ? `
 <div class="page">
   <div class="header">
     <div>
-      <div class="brand">FZB-24 Fahrzeugbericht</div>
-      <div class="sub">Hinweise & Datenquellen · VIN ${escapeHtml(report.vin)} · Report-ID ${escapeHtml(report.report_id)}</div>
+      ${brandHtml}
+      <div class="sub">${escapeHtml(tr('page.extra'))} · VIN ${escapeHtml(report.vin)} · ${escapeHtml(tr('report.report_id'))} ${escapeHtml(report.report_id)}</div>
     </div>
-    <div class="chip">${escapeHtml(title || 'Fahrzeug')}</div>
+    <div class="chip">${escapeHtml(title || tr('report.vehicle_fallback'))}</div>
   </div>
 
-  <div class="box">
-    <div class="secH">Was dieser Bericht abdeckt</div>
-    <div class="para">
-      • Fahrzeugidentifikation und technische Fahrzeugdaten (VIN Decode)<br/>
-      • Diebstahlcheck basierend auf verfügbaren EU-Datenbanken<br/>
-      • Marktwert-Indikator, sofern ausreichende Marktdaten vorhanden sind
-    </div>
+  <table class="table">
+    <thead><tr><th colspan="2">${escapeHtml(tr('extra.table_title'))}</th></tr></thead>
+    <tbody>
+      ${extraRows}
+    </tbody>
+  </table>
+
+  <div class="small" style="margin-top:10px">
+    ${escapeHtml(tr('extra.note'))}
   </div>
+  ${pageFooterHtml}
+</div>
+` : ''}
 
-  <div class="box" style="margin-top:12px">
-    <div class="secH">Wichtige Hinweise</div>
+<div class="page">
+  <div class="header">
+    <div>
+      ${brandHtml}
+      <div class="sub">${escapeHtml(tr('page.market'))} · VIN ${escapeHtml(report.vin)} · ${escapeHtml(tr('report.report_id'))} ${escapeHtml(report.report_id)}</div>
+    </div>
+    <div class="chip">${escapeHtml(title || tr('report.vehicle_fallback'))}</div>
+  </div>
+
+  ${market?.available ? `
+  <div class="box">
+    <div class="secH">${escapeHtml(tr('market.indicator'))}</div>
+    <div class="h1" style="margin-top:6px">${escapeHtml(marketText)}</div>
+    ${renderMarketRangeBar(market, lang)}
+  </div>
+
+  <table class="table" style="margin-top:12px">
+    <thead><tr><th colspan="2">${escapeHtml(tr('market.data_basis'))}</th></tr></thead>
+    <tbody>
+      <tr><th style="width:42%">${escapeHtml(tr('market.average'))}</th><td>${escapeHtml(formatMoney(market.price.average, market.currency, lang))}</td></tr>
+      <tr><th>${escapeHtml(tr('market.median'))}</th><td>${escapeHtml(formatMoney(market.price.median, market.currency, lang))}</td></tr>
+      <tr><th>${escapeHtml(tr('market.range'))}</th><td>${escapeHtml(formatMoney(market.price.low, market.currency, lang))} – ${escapeHtml(formatMoney(market.price.high, market.currency, lang))}</td></tr>
+      <tr><th>${escapeHtml(tr('market.mileage'))}</th><td>${escapeHtml(formatNumber(market.mileage.average ?? market.mileage.median, lang))} ${escapeHtml(market.mileage.unit)}</td></tr>
+      <tr><th>${escapeHtml(tr('market.sample_size'))}</th><td>${escapeHtml(formatNumber(market.sample_size, lang))}</td></tr>
+      <tr><th>${escapeHtml(tr('market.period'))}</th><td>${escapeHtml(formatDate(market.period.from, lang))} – ${escapeHtml(formatDate(market.period.to, lang))}</td></tr>
+    </tbody>
+  </table>
+  ` : `
+  <div class="box">
+    <div class="secH">${escapeHtml(tr('market.indicator'))}</div>
+    <div class="para">${escapeHtml(tr('market.not_enough_data', { reason: market?.reason || tr('market.no_data') }))}</div>
+  </div>
+  `}
+
+  <div class="box" style="margin-top:12px">
+    <div class="secH">${escapeHtml(tr('market.how_to_read'))}</div>
+    <div class="para">
+      • ${escapeHtml(tr('market.explain_1'))}<br/>
+      • ${escapeHtml(tr('market.explain_2'))}<br/>
+      • ${escapeHtml(tr('market.explain_3'))}<br/>
+      • ${escapeHtml(tr('market.explain_4'))}
+    </div>
+  </div>
+  ${pageFooterHtml}
+</div>
+
+<div class="page">
+  <div class="header">
+    <div>
+      ${brandHtml}
+      <div class="sub">${escapeHtml(tr('page.notes'))} · VIN ${escapeHtml(report.vin)} · ${escapeHtml(tr('report.report_id'))} ${escapeHtml(report.report_id)}</div>
+    </div>
+    <div class="chip">${escapeHtml(title || tr('report.vehicle_fallback'))}</div>
+  </div>
+
+  <div class="box">
+    <div class="secH">${escapeHtml(tr('notes.covers'))}</div>
+    <div class="para">
+      • ${escapeHtml(tr('notes.covers_1'))}<br/>
+      • ${escapeHtml(tr('notes.covers_2'))}<br/>
+      • ${escapeHtml(tr('notes.covers_3'))}
+    </div>
+  </div>
+
+  <div class="box" style="margin-top:12px">
+    <div class="secH">${escapeHtml(tr('notes.important'))}</div>
     <div class="para">
-      • Dieser Bericht ist ein Informationsprodukt und ersetzt keine Vor-Ort-Prüfung.<br/>
-      • Es wird keine Garantie für Vollständigkeit, Unfallfreiheit oder Mängelfreiheit gegeben.<br/>
-      • Wenn einzelne Werte fehlen, lagen für dieses Fahrzeug keine Daten vor.
+      • ${escapeHtml(tr('notes.important_1'))}<br/>
+      • ${escapeHtml(tr('notes.important_2'))}<br/>
+      • ${escapeHtml(tr('notes.important_3'))}
     </div>
   </div>
 
   <div class="box" style="margin-top:12px">
-    <div class="secH">Disclaimer</div>
+    <div class="secH">${escapeHtml(tr('notes.disclaimer'))}</div>
     <div class="para">${escapeHtml(report.disclaimer)}</div>
   </div>
 
   <div class="small" style="margin-top:10px">
-    Erstellt am ${escapeHtml(new Date(report.generated_at).toLocaleString('de-DE'))}
+    ${escapeHtml(tr('report.created_on', { date: formatDateTime(report.generated_at, lang) }))}
+  </div>
+  ${pageFooterHtml}
+</div>
+
+</body>
+</html>`;
+}
+
+// ====================== COMPARE ======================
+// Gegenüberstellung mehrerer Premium-Reports: Abschnitte mit Zeilen, je Zeile ein Wert pro Fahrzeug.
+// `differs` markiert Zeilen, in denen sich die Werte der verfügbaren Fahrzeuge unterscheiden.
+const COMPARE_EMISSION_FIELDS = ['co2_g_km', 'consumption_urban', 'emission_standard'];
+
+// value(report) => Rohwert (JSON), text(value, report) => Anzeige in HTML/PDF
+function compareRow(key, label, reports, value, text) {
+  const values = reports.map(r => (r ? value(r) ?? null : null));
+  const compared = values.filter((_, i) => reports[i]).map(v => String(v));
+  return {
+    key,
+    label,
+    values,
+    display: values.map((v, i) => (reports[i] ? text(v, reports[i]) : '—')),
+    differs: new Set(compared).size > 1
+  };
+}
+
+// entries: [{ vin, report | null, error }] in Reihenfolge der Anfrage
+function buildComparison(entries, { lang = DEFAULT_LANG, theme = DEFAULT_THEME } = {}) {
+  const reports = entries.map(e => e.report || null);
+  const tr = key => themeT(getTheme(theme), lang, key);
+
+  const fieldRow = f => compareRow(f.key, fieldTitle(f, lang), reports, r => r.vehicle?.[f.key], v => fieldValueText(v, f.unit, lang));
+  const marketRow = (key, label, pick, text) =>
+    compareRow(
+      `market_${key}`,
+      label,
+      reports,
+      r => (r.checks?.market_value?.available ? pick(r.checks.market_value) : null),
+      (v, r) => (r.checks?.market_value?.available ? text(v, r.checks.market_value) : marketValueText(r.checks?.market_value, lang))
+    );
+  const money = (v, m) => formatMoney(v, m.currency, lang);
+
+  const sections = [
+    {
+      key: 'technical',
+      title: tr('compare.technical'),
+      rows: REPORT_FIELDS.fields.filter(f => !COMPARE_EMISSION_FIELDS.includes(f.key)).map(fieldRow)
+    },
+    {
+      key: 'emissions',
+      title: tr('compare.emissions'),
+      rows: REPORT_FIELDS.fields.filter(f => COMPARE_EMISSION_FIELDS.includes(f.key)).map(fieldRow)
+    },
+    {
+      key: 'stolen',
+      title: tr('checks.stolen'),
+      rows: [compareRow('stolen_status', tr('checks.stolen_short'), reports, r => r.checks?.stolen?.status || 'unknown', v => stolenLabel(v, lang))]
+    },
+    {
+      key: 'market_value',
+      title: tr('checks.market_value'),
+      rows: [
+        marketRow('average', tr('market.average'), m => m.price.average, money),
+        marketRow('median', tr('market.median'), m => m.price.median, money),
+        marketRow('low', tr('market.lower'), m => m.price.low, money),
+        marketRow('high', tr('market.upper'), m => m.price.high, money),
+        marketRow('mileage', tr('market.mileage'), m => m.mileage.average ?? m.mileage.median, (v, m) => `${formatNumber(v, lang)} ${m.mileage.unit}`),
+        marketRow('sample_size', tr('market.sample_size'), m => m.sample_size, v => formatNumber(v, lang))
+      ]
+    }
+  ];
+
+  return {
+    generated_at: new Date().toISOString(),
+    lang,
+    theme,
+    vehicles: entries.map(e => ({
+      vin: e.vin,
+      ok: Boolean(e.report),
+      report_id: e.report?.report_id || null,
+      content_hash: e.report?.content_hash || null,
+      verify_url: e.report ? verifyUrl(e.report.report_id) : null,
+      title: e.report ? vehicleTitle(e.report.vehicle) : null,
+      error: e.report ? null : e.error || 'unavailable'
+    })),
+    sections,
+    differences: sections.reduce((n, s) => n + s.rows.filter(r => r.differs).length, 0)
+  };
+}
+
+function renderCompareHtml(comparison) {
+  const lang = normalizeLang(comparison.lang) || DEFAULT_LANG;
+  const theme = getTheme(comparison.theme);
+  const tr = (key, vars) => themeT(theme, lang, key, vars);
+  const disclaimer = tr('report.disclaimer');
+  const imprint = themeT(theme, lang, 'report.imprint', {}, '');
+
+  const brandHtml = theme.logo
+    ? `<div class="brand"><img class="logo" src="${theme.logo.data_uri}" alt="${escapeHtml(theme.name)}" />${escapeHtml(tr('compare.title'))}</div>`
+    : `<div class="brand">${escapeHtml(tr('compare.title'))}</div>`;
+
+  const vehicleHeads = comparison.vehicles
+    .map(v => `<th>${escapeHtml(v.ok ? v.title || tr('report.vehicle_fallback') : tr('compare.unavailable'))}<div class="small">VIN ${escapeHtml(v.vin)}</div></th>`)
+    .join('');
+
+  const stolenDot = status => (status === 'not-stolen' ? 'ok' : status === 'stolen' ? 'bad' : 'warn');
+  const cell = (row, i) => {
+    const na = !comparison.vehicles[i].ok;
+    const dot = row.key === 'stolen_status' && !na ? `<span class="dot ${stolenDot(row.values[i])}"></span>` : '';
+    return `<td class="${[row.differs ? 'diff' : '', na ? 'na' : ''].join(' ').trim()}">${dot}${escapeHtml(row.display[i])}</td>`;
+  };
+
+  const tables = comparison.sections
+    .filter(s => s.rows.length)
+    .map(s => `
+  <table class="table cmp" style="margin-top:12px">
+    <thead>
+      <tr><th class="lbl">${escapeHtml(s.title)}</th>${vehicleHeads}</tr>
+    </thead>
+    <tbody>
+      ${s.rows.map(row => `<tr><th class="lbl">${escapeHtml(row.label)}</th>${row.values.map((_, i) => cell(row, i)).join('')}</tr>`).join('\n      ')}
+    </tbody>
+  </table>`)
+    .join('\n');
+
+  // Prüf-Fuß wie im Einzelreport, je Fahrzeug mit eigener Report-ID
+  const verifyHtml = comparison.vehicles
+    .filter(v => v.verify_url)
+    .map(v => `
+  <div class="verify">
+    ${qrSvg(v.verify_url, { size: 64, color: theme.colors.text })}
+    <div>
+      <b>${escapeHtml(tr('verify.title'))} · VIN ${escapeHtml(v.vin)}</b> · ${escapeHtml(tr('verify.scan', { url: v.verify_url }))}
+      ${v.content_hash ? `<br/>${escapeHtml(tr('verify.hash'))}: <span class="hash">${escapeHtml(v.content_hash)}</span>` : ''}
+    </div>
+  </div>`)
+    .join('');
+
+  return `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>${escapeHtml(tr('compare.title'))}</title>
+<style>
+${reportCss(theme)}
+  .cmp th.lbl{width:28%}
+  .cmp thead th{vertical-align:bottom}
+  .cmp tr{page-break-inside:avoid}
+  .cmp td.diff{background:color-mix(in srgb,var(--warn) 16%,#fff);font-weight:700}
+  .cmp td.na{color:var(--muted)}
+  .cmp .dot{display:inline-block;margin:0 6px 0 0;vertical-align:-1px}
+  .legend{display:inline-block;width:12px;height:12px;border-radius:3px;vertical-align:-2px;margin-right:6px;background:color-mix(in srgb,var(--warn) 16%,#fff);border:1px solid var(--line)}
+</style>
+</head>
+<body>
+
+<div class="page">
+  <div class="header">
+    <div>
+      ${brandHtml}
+      <div class="sub">
+        ${escapeHtml(tr('report.created_on', { date: formatDate(comparison.generated_at, lang) }))}
+        · ${escapeHtml(tr('compare.subtitle', { count: comparison.vehicles.length }))}
+      </div>
+    </div>
+    <div class="chip">${comparison.vehicles.map(v => escapeHtml(v.vin)).join(' · ')}</div>
+  </div>
+
+  <div class="small"><span class="legend"></span>${escapeHtml(tr('compare.differs_hint'))}</div>
+  ${tables}
+
+  <div class="small" style="margin-top:12px">
+    ${escapeHtml(tr('common.note'))}: ${escapeHtml(disclaimer)}
   </div>
+  ${verifyHtml}
+  ${imprint ? `<div class="imprint">${escapeHtml(imprint)}</div>` : ''}
 </div>
 
 </body>
@@ -578,348 +1908,3458 @@ function renderReportHtml(report) {
 }
 
 // ====================== PDF RENDER ======================
-async function renderPdfToFile(html, outPath) {
-  const browser = await puppeteer.launch({
+async function launchBrowser() {
+  return puppeteer.launch({
     headless: IS_PROD ? chromium.headless : 'new',
     executablePath: IS_PROD ? await chromium.executablePath() : undefined,
     args: IS_PROD ? chromium.args : ['--no-sandbox', '--disable-setuid-sandbox'],
     defaultViewport: IS_PROD ? chromium.defaultViewport : { width: 1280, height: 720 }
   });
+}
 
-  try {
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: 'networkidle0' });
+function withTimeout(promise, ms, label) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timeout after ${ms}ms`);
+      err.code = 'ETIMEDOUT';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Ein Browser für alle Renderings: wird beim ersten Bedarf gestartet, nach einem
+// Absturz beim nächsten Bedarf neu gestartet. Pages werden wiederverwendet
+// (max. pageMaxUses Mal), höchstens maxPages gleichzeitig – weitere Aufträge warten.
+function createBrowserPool({ launch, maxPages, pageMaxUses, renderTimeoutMs }) {
+  let browserPromise = null;
+  let idle = []; // { page, uses }
+  let active = 0;
+  let closing = false;
+  const waiters = [];
+  const counters = { launches: 0, crashes: 0, renders: 0, failures: 0, timeouts: 0 };
+
+  function getBrowser() {
+    if (!browserPromise) {
+      counters.launches += 1;
+      browserPromise = launch()
+        .then(browser => {
+          browser.on('disconnected', () => {
+            if (!closing) {
+              counters.crashes += 1;
+              console.error('⚠️ Chromium disconnected – wird beim nächsten Rendern neu gestartet');
+            }
+            browserPromise = null;
+            idle = [];
+          });
+          return browser;
+        })
+        .catch(err => {
+          browserPromise = null;
+          throw err;
+        });
+    }
+    return browserPromise;
+  }
+
+  async function acquire() {
+    if (closing) throw new Error('browser pool is shutting down');
+
+    if (active >= maxPages) {
+      await new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    }
+    active += 1;
+
+    try {
+      while (idle.length) {
+        const entry = idle.pop();
+        if (!entry.page.isClosed()) return entry;
+      }
+      const browser = await getBrowser();
+      return { page: await browser.newPage(), uses: 0 };
+    } catch (err) {
+      releaseSlot();
+      throw err;
+    }
+  }
+
+  function releaseSlot() {
+    active -= 1;
+    const next = waiters.shift();
+    if (next) next.resolve();
+  }
+
+  async function release(entry, { broken = false } = {}) {
+    entry.uses += 1;
+    try {
+      if (broken || closing || entry.uses >= pageMaxUses || entry.page.isClosed()) {
+        await entry.page.close().catch(() => {});
+      } else {
+        await entry.page.goto('about:blank');
+        idle.push(entry);
+      }
+    } catch {
+      await entry.page.close().catch(() => {});
+    } finally {
+      releaseSlot();
+    }
+  }
+
+  async function withPage(fn) {
+    const entry = await acquire();
+    let broken = false;
+    try {
+      const result = await withTimeout(fn(entry.page), renderTimeoutMs, 'PDF render');
+      counters.renders += 1;
+      return result;
+    } catch (err) {
+      broken = true;
+      counters.failures += 1;
+      if (err.code === 'ETIMEDOUT') counters.timeouts += 1;
+      throw err;
+    } finally {
+      await release(entry, { broken });
+    }
+  }
+
+  async function shutdown() {
+    closing = true;
+    while (waiters.length) waiters.shift().reject(new Error('browser pool is shutting down'));
+    const p = browserPromise;
+    browserPromise = null;
+    idle = [];
+    if (p) {
+      const browser = await p.catch(() => null);
+      if (browser) await browser.close().catch(() => {});
+    }
+  }
+
+  function stats() {
+    return { ...counters, running: Boolean(browserPromise), active, idle: idle.length, queued: waiters.length, maxPages };
+  }
+
+  return { withPage, shutdown, stats };
+}
+
+const browserPool = createBrowserPool({
+  launch: launchBrowser,
+  maxPages: PDF_MAX_PAGES,
+  pageMaxUses: PDF_PAGE_MAX_USES,
+  renderTimeoutMs: PDF_RENDER_TIMEOUT_MS
+});
+
+async function renderPdfToFile(html, outPath) {
+  await browserPool.withPage(async page => {
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: PDF_RENDER_TIMEOUT_MS });
     await page.pdf({
       path: outPath,
       format: 'A4',
       printBackground: true,
       margin: { top: '10mm', bottom: '10mm', left: '10mm', right: '10mm' }
     });
-  } finally {
-    await browser.close();
+  });
+}
+
+// ====================== PDF FALLBACK (pdfkit) ======================
+// Standard-Fonts von pdfkit können nur WinAnsi – alles andere ersetzen
+function pdfText(v) {
+  return String(v ?? '—')
+    .replaceAll('₂', '2')
+    .replace(/[\u2009\u202F]/g, ' ')
+    .replace(/[^\x20-\x7E\xA0-\xFF€–—•‚„“”‘’…ŠšŽžŒœŸ\n]/g, '?');
+}
+
+// QR-Code als Vektor-Rechtecke (size in pt, x/y = linke obere Ecke)
+function pdfKitQr(doc, text, x, y, size, color) {
+  const qr = QRCode.create(text, { errorCorrectionLevel: 'M' }).modules;
+  const cell = size / qr.size;
+  for (let r = 0; r < qr.size; r++) {
+    for (let c = 0; c < qr.size; c++) {
+      if (qr.get(r, c)) doc.rect(x + c * cell, y + r * cell, cell, cell);
+    }
+  }
+  doc.fill(color);
+}
+
+function renderReportPdfKit(report, outPath) {
+  const lang = normalizeLang(report.lang) || DEFAULT_LANG;
+  const theme = getTheme(report.theme);
+  const tr = (key, vars) => themeT(theme, lang, key, vars);
+  const v = report.vehicle || {};
+  const stolen = report.checks?.stolen || {};
+  const market = report.checks?.market_value;
+
+  const BRAND = theme.colors.brand;
+  const TEXT = theme.colors.text;
+  const MUTED = theme.colors.muted;
+  const imprint = themeT(theme, lang, 'report.imprint', {}, '');
+  const checkUrl = verifyUrl(report.report_id);
+
+  return new Promise((resolve, reject) => {
+    // Unten Platz für den Prüf-Fuß (QR + Prüfsumme), der am Ende auf jede Seite kommt
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 48, left: 48, right: 48, bottom: 110 },
+      bufferPages: true,
+      info: { Title: `${tr('report.title')} ${report.vin}` }
+    });
+    const out = fs.createWriteStream(outPath);
+    out.on('finish', resolve);
+    out.on('error', reject);
+    doc.on('error', reject);
+    doc.pipe(out);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    const heading = text => {
+      if (doc.y > doc.page.maxY() - 90) doc.addPage();
+      doc.moveDown(0.8);
+      const y = doc.y;
+      doc.rect(left, y, 3, 14).fill(BRAND);
+      doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(12).text(pdfText(text), left + 10, y + 1);
+      doc.moveDown(0.4);
+    };
+
+    const row = (label, value) => {
+      if (doc.y > doc.page.maxY() - 20) doc.addPage();
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(TEXT).text(pdfText(label), left, y, { width: width * 0.42 - 8 });
+      const h1 = doc.y - y;
+      doc.font('Helvetica').fontSize(9).fillColor(TEXT).text(pdfText(value), left + width * 0.42, y, { width: width * 0.58 });
+      doc.y = y + Math.max(h1, doc.y - y) + 3;
+      doc.x = left;
+    };
+
+    const para = text => {
+      doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(pdfText(text), left, doc.y, { width });
+      doc.x = left;
+    };
+
+    // Kopf (pdfkit kann nur PNG/JPEG – SVG-Logos entfallen hier)
+    const title = vehicleTitle(v);
+    if (theme.logo && theme.logo.mime !== 'image/svg+xml') {
+      const logoY = doc.y;
+      doc.image(theme.logo.buffer, left, logoY, { height: 28 });
+      doc.y = logoY + 36;
+    }
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT).text(pdfText(tr('report.title')), left, doc.y);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(
+      pdfText(`${tr('report.created_on', { date: formatDate(report.generated_at, lang) })} · ${tr('report.report_id')} ${report.report_id} · VIN ${report.vin}`)
+    );
+    doc.moveDown(0.6);
+    const boxY = doc.y;
+    doc.rect(left, boxY, width, 44).fill(theme.colors.header_to);
+    doc.rect(left, boxY, 8, 44).fill(BRAND);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(15).text(pdfText(title || tr('report.vehicle_fallback')), left + 18, boxY + 8, { width: width - 26 });
+    doc.font('Helvetica').fontSize(9).text(pdfText(`${v.body || '—'} · ${v.fuel || '—'} · ${v.transmission || '—'}`), left + 18, boxY + 28);
+    doc.fillColor(TEXT);
+    doc.y = boxY + 52;
+    doc.x = left;
+
+    // Checks
+    heading(tr('checks.title'));
+    row(tr('checks.stolen'), stolenLabel(stolen.status || 'unknown', lang));
+    for (const d of stolen.details || []) row(`   ${d.source}`, d.status);
+    row(tr('checks.market_value'), marketValueText(market, lang));
+    if (market?.available) {
+      row(tr('market.average'), formatMoney(market.price.average, market.currency, lang));
+      row(tr('market.median'), formatMoney(market.price.median, market.currency, lang));
+      row(tr('market.range'), `${formatMoney(market.price.low, market.currency, lang)} – ${formatMoney(market.price.high, market.currency, lang)}`);
+      row(tr('market.mileage'), `${formatNumber(market.mileage.average ?? market.mileage.median, lang)} ${market.mileage.unit}`);
+      row(tr('market.sample_size'), formatNumber(market.sample_size, lang));
+      row(tr('market.period'), `${formatDate(market.period.from, lang)} – ${formatDate(market.period.to, lang)}`);
+    }
+
+    // Fahrzeugdaten nach Abschnitten aus report-fields.json
+    for (const section of Object.keys(REPORT_FIELDS.sections)) {
+      const fields = sectionFields(section);
+      if (!fields.length) continue;
+      heading(sectionTitle(section, lang));
+      for (const f of fields) row(fieldTitle(f, lang), fieldValueText(v[f.key], f.unit, lang));
+    }
+
+    if ((report.vehicle_extra || []).length) {
+      heading(tr('page.extra'));
+      for (const r of report.vehicle_extra) row(r.label, fieldValueText(r.value, r.unit, lang));
+    }
+
+    // Hinweise
+    heading(tr('notes.important'));
+    for (const k of ['notes.important_1', 'notes.important_2', 'notes.important_3']) para(`• ${tr(k)}`);
+    heading(tr('notes.disclaimer'));
+    para(report.disclaimer);
+
+    // Prüf-Fuß in den unteren Rand jeder Seite (Rand kurz freigeben, sonst bricht pdfkit um)
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      const y = doc.page.height - 96;
+
+      doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor('#cbd5e1').stroke();
+      pdfKitQr(doc, checkUrl, left, y + 8, 64, TEXT);
+
+      const tx = left + 76;
+      const tw = width - 76;
+      doc.font('Helvetica-Bold').fontSize(8).fillColor(TEXT).text(pdfText(tr('verify.title')), tx, y + 8, { width: tw });
+      doc.font('Helvetica').fontSize(7).fillColor(MUTED).text(pdfText(tr('verify.scan', { url: checkUrl })), tx, doc.y, { width: tw });
+      if (report.content_hash) doc.text(pdfText(`${tr('verify.hash')}: ${report.content_hash}`), tx, doc.y, { width: tw });
+      if (imprint) doc.text(pdfText(imprint), tx, doc.y + 4, { width: tw });
+
+      doc.page.margins.bottom = bottom;
+    }
+
+    doc.end();
+  });
+}
+
+// Vergleich als Tabelle: Merkmal + eine Spalte je Fahrzeug, Unterschiede hinterlegt
+function renderComparePdfKit(comparison, outPath) {
+  const lang = normalizeLang(comparison.lang) || DEFAULT_LANG;
+  const theme = getTheme(comparison.theme);
+  const tr = (key, vars) => themeT(theme, lang, key, vars);
+
+  const BRAND = theme.colors.brand;
+  const TEXT = theme.colors.text;
+  const MUTED = theme.colors.muted;
+  const DIFF_BG = '#fef3c7';
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 48, left: 48, right: 48, bottom: 48 },
+      info: { Title: `${tr('compare.title')} ${comparison.vehicles.map(v => v.vin).join(', ')}` }
+    });
+    const out = fs.createWriteStream(outPath);
+    out.on('finish', resolve);
+    out.on('error', reject);
+    doc.on('error', reject);
+    doc.pipe(out);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const labelWidth = width * 0.28;
+    const colWidth = (width - labelWidth) / comparison.vehicles.length;
+
+    // Eine Tabellenzeile; Höhe richtet sich nach der längsten Zelle
+    const tableRow = (label, cells, { bold = false, highlight = false, color = TEXT } = {}) => {
+      const font = bold ? 'Helvetica-Bold' : 'Helvetica';
+      doc.fontSize(8.5);
+      const heights = [doc.font('Helvetica-Bold').heightOfString(pdfText(label), { width: labelWidth - 8 })].concat(
+        cells.map(c => doc.font(font).heightOfString(pdfText(c), { width: colWidth - 8 }))
+      );
+      const h = Math.max(...heights) + 6;
+      if (doc.y + h > doc.page.maxY()) doc.addPage();
+
+      const y = doc.y;
+      if (highlight) doc.rect(left + labelWidth, y, width - labelWidth, h).fill(DIFF_BG);
+      doc.font('Helvetica-Bold').fontSize(8.5).fillColor(TEXT).text(pdfText(label), left, y + 3, { width: labelWidth - 8 });
+      cells.forEach((c, i) => {
+        doc.font(highlight ? 'Helvetica-Bold' : font).fontSize(8.5).fillColor(color).text(pdfText(c), left + labelWidth + i * colWidth + 4, y + 3, { width: colWidth - 8 });
+      });
+      doc.moveTo(left, y + h).lineTo(left + width, y + h).lineWidth(0.5).strokeColor('#e2e8f0').stroke();
+      doc.y = y + h;
+      doc.x = left;
+    };
+
+    if (theme.logo && theme.logo.mime !== 'image/svg+xml') {
+      const logoY = doc.y;
+      doc.image(theme.logo.buffer, left, logoY, { height: 28 });
+      doc.y = logoY + 36;
+    }
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT).text(pdfText(tr('compare.title')), left, doc.y);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(
+      pdfText(`${tr('report.created_on', { date: formatDate(comparison.generated_at, lang) })} · ${tr('compare.subtitle', { count: comparison.vehicles.length })}`)
+    );
+    doc.moveDown(0.4);
+    const legendY = doc.y;
+    doc.rect(left, legendY, 10, 10).fill(DIFF_BG);
+    doc.font('Helvetica').fontSize(8.5).fillColor(MUTED).text(pdfText(tr('compare.differs_hint')), left + 16, legendY + 1, { width: width - 16 });
+    doc.x = left;
+
+    const heads = comparison.vehicles.map(v => `${v.ok ? v.title || tr('report.vehicle_fallback') : tr('compare.unavailable')}\nVIN ${v.vin}`);
+    for (const section of comparison.sections) {
+      if (!section.rows.length) continue;
+      if (doc.y > doc.page.maxY() - 80) doc.addPage();
+      doc.moveDown(0.8);
+      const y = doc.y;
+      doc.rect(left, y, 3, 14).fill(BRAND);
+      doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(12).text(pdfText(section.title), left + 10, y + 1);
+      doc.moveDown(0.3);
+      tableRow(tr('compare.attribute'), heads, { bold: true });
+      for (const row of section.rows) tableRow(row.label, row.display, { highlight: row.differs });
+    }
+
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(8.5).fillColor(MUTED).text(pdfText(`${tr('common.note')}: ${tr('report.disclaimer')}`), left, doc.y, { width });
+
+    // Prüf-Fuß wie im Einzelreport, je Fahrzeug mit eigener Report-ID
+    for (const v of comparison.vehicles.filter(x => x.verify_url)) {
+      if (doc.y + 74 > doc.page.maxY()) doc.addPage();
+      const y = doc.y + 8;
+      doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor('#cbd5e1').stroke();
+      pdfKitQr(doc, v.verify_url, left, y + 6, 56, TEXT);
+
+      const tx = left + 68;
+      const tw = width - 68;
+      doc.font('Helvetica-Bold').fontSize(8).fillColor(TEXT).text(pdfText(`${tr('verify.title')} · VIN ${v.vin}`), tx, y + 6, { width: tw });
+      doc.font('Helvetica').fontSize(7).fillColor(MUTED).text(pdfText(tr('verify.scan', { url: v.verify_url })), tx, doc.y, { width: tw });
+      if (v.content_hash) doc.text(pdfText(`${tr('verify.hash')}: ${v.content_hash}`), tx, doc.y, { width: tw });
+      doc.y = Math.max(doc.y, y + 62);
+      doc.x = left;
+    }
+
+    const imprint = themeT(theme, lang, 'report.imprint', {}, '');
+    if (imprint) doc.font('Helvetica').fontSize(8.5).fillColor(MUTED).text(pdfText(imprint), left, doc.y + 4, { width });
+
+    doc.end();
+  });
+}
+
+// ====================== PDF SIGNING ======================
+// Zertifikat beim Start laden und prüfen – falsche Passphrase soll nicht erst beim ersten Kunden auffallen
+function loadPdfSigner(file, passphrase) {
+  if (!file) return null;
+  try {
+    const p12 = fs.readFileSync(path.resolve(file));
+    const parsed = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(p12.toString('binary')), false, passphrase);
+    const certBag = parsed.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag]?.[0];
+    if (!certBag?.cert) throw new Error('kein Zertifikat in der PKCS#12-Datei');
+    const cert = certBag.cert;
+    return {
+      p12,
+      name: cert.subject.getField('CN')?.value || cert.subject.getField('O')?.value || 'PDF Signer',
+      not_after: cert.validity.notAfter.toISOString(),
+      self_signed: cert.isIssuer(cert)
+    };
+  } catch (err) {
+    console.error(`❌ PDF_SIGN_P12 konnte nicht geladen werden (${file}):`, err.message);
+    process.exit(1);
+  }
+}
+
+const PDF_SIGNER = loadPdfSigner(PDF_SIGN_P12, PDF_SIGN_PASSPHRASE);
+
+if (PDF_SIGNER && new Date(PDF_SIGNER.not_after) < new Date()) {
+  console.error(`⚠️ PDF-Signaturzertifikat abgelaufen seit ${PDF_SIGNER.not_after}`);
+}
+
+// Signiert die fertige PDF-Datei an Ort und Stelle (ETSI.CAdES.detached, PAdES-Basisprofil)
+async function signPdfFile(filePath) {
+  const pdfBuffer = fs.readFileSync(filePath);
+  const withPlaceholder = plainAddPlaceholder({
+    pdfBuffer,
+    reason: PDF_SIGN_REASON,
+    contactInfo: PDF_SIGN_CONTACT,
+    name: PDF_SIGNER.name,
+    location: PDF_SIGN_LOCATION,
+    subFilter: SUBFILTER_ETSI_CADES_DETACHED
+  });
+  const signer = new P12Signer(PDF_SIGNER.p12, { passphrase: PDF_SIGN_PASSPHRASE });
+  const signed = await new SignPdf().sign(withPlaceholder, signer);
+
+  // Erst komplett schreiben, dann ersetzen – ein Download sieht nie eine halbe Datei
+  const tmp = `${filePath}.signing`;
+  fs.writeFileSync(tmp, signed);
+  fs.renameSync(tmp, filePath);
+}
+
+// ====================== RENDERERS ======================
+// Jeder Renderer: async render(report, outPath) und compare(comparison, outPath). Neue Renderer hier eintragen.
+const PDF_RENDERERS = {
+  chromium: {
+    render: (report, outPath) => renderPdfToFile(renderReportHtml(report), outPath),
+    compare: (comparison, outPath) => renderPdfToFile(renderCompareHtml(comparison), outPath)
+  },
+  pdfkit: { render: renderReportPdfKit, compare: renderComparePdfKit }
+};
+
+if (!PDF_RENDERERS[PDF_RENDERER]) {
+  console.error(`❌ Unknown PDF_RENDERER "${PDF_RENDERER}" (${Object.keys(PDF_RENDERERS).join(', ')})`);
+  process.exit(1);
+}
+
+// kind: 'render' (Report) oder 'compare' (Vergleich)
+async function renderWithFallback(doc, outPath, kind = 'render') {
+  try {
+    await PDF_RENDERERS[PDF_RENDERER][kind](doc, outPath);
+    return { renderer: PDF_RENDERER };
+  } catch (err) {
+    if (!PDF_FALLBACK || PDF_RENDERER === 'pdfkit') throw err;
+    console.error(`⚠️ PDF renderer ${PDF_RENDERER} failed, falling back to pdfkit:`, err.message);
+    await PDF_RENDERERS.pdfkit[kind](doc, outPath);
+    return { renderer: 'pdfkit', fallback_reason: err.message };
+  }
+}
+
+// Rendert den Report als PDF und signiert ihn (falls konfiguriert);
+// gibt den tatsächlich benutzten Renderer und den Signaturstatus zurück
+async function renderReportPdf(report, outPath) {
+  return signRenderedPdf(await renderWithFallback(report, outPath), outPath);
+}
+
+async function renderComparePdf(comparison, outPath) {
+  return signRenderedPdf(await renderWithFallback(comparison, outPath, 'compare'), outPath);
+}
+
+async function signRenderedPdf(result, outPath) {
+  if (!PDF_SIGNER) return { ...result, signed: false };
+
+  try {
+    await signPdfFile(outPath);
+    return { ...result, signed: true };
+  } catch (err) {
+    if (PDF_SIGN_REQUIRED) {
+      fs.rmSync(outPath, { force: true });
+      throw new Error(`PDF-Signatur fehlgeschlagen: ${err.message}`);
+    }
+    console.error('⚠️ PDF-Signatur fehlgeschlagen, liefere unsigniert aus:', err.message);
+    return { ...result, signed: false, sign_error: err.message };
   }
 }
 
 // ====================== SECURITY ======================
+// Signatur- und Proof-of-Work-Logik liegt in security.js, hier nur die Anbindung an Request und Env
+// Ergebnis aller Prüfungen: { ok: true, secret: <Index in der Liste> } | { ok: false, reason }
+function verifyTimestampedHmac(req, header, secrets) {
+  return verifySignatureHeader(req.rawBody, header, secrets, { toleranceSec: WEBHOOK_TOLERANCE_SEC });
+}
+
+if (!['off', 'header', 'query'].includes(WEBHOOK_LEGACY_AUTH)) {
+  console.error(`❌ Unknown WEBHOOK_LEGACY_AUTH "${WEBHOOK_LEGACY_AUTH}" (off, header, query)`);
+  process.exit(1);
+}
+
+// Nur für WEBHOOK_LEGACY_AUTH – Query-Parameter ausschließlich im Modus "query"
 function getIncomingSecret(req) {
   const h = req.headers['x-webhook-secret'];
-  const q = req.query?.secret;
+  const q = WEBHOOK_LEGACY_AUTH === 'query' ? req.query?.secret : '';
   return (h || q || '').toString();
 }
 
+// Eigene Absender (Wix Velo, Debug): x-webhook-signature; ohne WEBHOOK_SECRETS offen (Warnung beim Start)
 function checkWebhookAuth(req) {
-  if (!WEBHOOK_SECRET) return true;
-  return getIncomingSecret(req) === WEBHOOK_SECRET;
+  if (!WEBHOOK_SECRETS.length) return { ok: true };
+  const header = req.headers['x-webhook-signature'];
+  if (!header && WEBHOOK_LEGACY_AUTH !== 'off') {
+    const incoming = getIncomingSecret(req);
+    if (!incoming) return { ok: false, reason: 'missing_signature' };
+    const secret = WEBHOOK_SECRETS.findIndex(sec => safeEqual(incoming, sec));
+    return secret >= 0 ? { ok: true, secret, legacy: true } : { ok: false, reason: 'bad_secret' };
+  }
+  return verifyTimestampedHmac(req, header, WEBHOOK_SECRETS);
 }
 
-// ====================== IDEMPOTENCY ======================
-const processed = new Map(); // key -> expiresAt
-const DEDUPE_TTL_MS = 6 * 60 * 60 * 1000; // 6h
-
-function wasProcessed(key) {
-  const exp = processed.get(key);
-  if (!exp) return false;
-  if (Date.now() > exp) {
-    processed.delete(key);
-    return false;
+// Abgelehnte Webhooks landen in der Collection "webhook_audit" – ohne Secrets, Signaturen
+// und Query-String, aber mit Body-Hash, damit sich Zustellungen mit dem Absender abgleichen lassen.
+// Ringpuffer: Schlüssel "wha_<seq % WEBHOOK_AUDIT_MAX>", ein neuer Eintrag überschreibt den ältesten –
+// so kostet eine Ablehnung nur ein set() statt Lesen und Sortieren der ganzen Collection.
+const WEBHOOK_AUDIT_MAX = Number(process.env.WEBHOOK_AUDIT_MAX || 1000);
+let webhookAuditSeq = null;
+
+// Einmalig beim ersten Eintrag: höchste Sequenz ermitteln; Alt-Einträge mit Zufalls-ID in den Ring übernehmen
+function webhookAuditInit() {
+  const all = webhookAuditList().reverse();
+  const legacy = all.filter(e => !Number.isInteger(e.seq));
+  webhookAuditSeq = Math.max(0, ...all.map(e => (Number.isInteger(e.seq) ? e.seq + 1 : 0)));
+  for (const e of legacy) {
+    store.delete('webhook_audit', e.id);
+    webhookAuditStore(e);
   }
-  return true;
 }
 
-function markProcessed(key) {
-  processed.set(key, Date.now() + DEDUPE_TTL_MS);
+function webhookAuditStore(entry) {
+  const seq = webhookAuditSeq++;
+  const id = `wha_${seq % WEBHOOK_AUDIT_MAX}`;
+  const stored = { ...entry, id, seq };
+  store.set('webhook_audit', id, stored);
+  return stored;
 }
 
-// ====================== VIN STORE (fallback) ======================
-const vinStore = new Map(); // purchaseFlowId -> { vin, email, ts }
-const VINSTORE_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+function webhookAuditList({ provider, reason } = {}) {
+  return store
+    .entries('webhook_audit')
+    .map(([, e]) => e)
+    .filter(e => (!provider || e.provider === provider) && (!reason || e.reason === reason))
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)) || (b.seq ?? 0) - (a.seq ?? 0));
+}
 
-function vinStoreCleanup() {
-  const now = Date.now();
-  for (const [k, v] of vinStore.entries()) {
-    if (!v?.ts || now - v.ts > VINSTORE_TTL_MS) vinStore.delete(k);
+function webhookAuditReject(provider, req, reason) {
+  if (webhookAuditSeq === null) webhookAuditInit();
+  const entry = webhookAuditStore({
+    at: new Date().toISOString(),
+    provider,
+    reason,
+    method: req.method,
+    path: String(req.originalUrl || req.url || '').split('?')[0],
+    ip: req.ip || null,
+    forwarded_for: req.headers['x-forwarded-for'] || null,
+    user_agent: req.headers['user-agent'] || null,
+    content_length: req.rawBody ? req.rawBody.length : 0,
+    body_sha256: req.rawBody ? crypto.createHash('sha256').update(req.rawBody).digest('hex') : null,
+    signature_timestamp: parseSignatureHeader(req.headers['x-webhook-signature'] || req.headers['stripe-signature']).t
+  });
+
+  console.warn(`🚫 Webhook abgelehnt (${provider}): ${reason} – ${entry.ip || '?'} ${entry.path}`);
+  return entry;
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ ok: false, error: 'admin_disabled' });
+  const auth = String(req.headers.authorization || '');
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : String(req.headers['x-admin-token'] || '');
+  if (!safeEqual(token, ADMIN_TOKEN)) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  req.isAdmin = true;
+  return next();
+}
+
+// ====================== ABUSE PROTECTION ======================
+// /api/report/:vin kostet pro neuer VIN eine Vincario-Abfrage, /api/link-vin ist absichtlich offen:
+// Rate-Limits pro IP und VIN, Tagesbudget (VINCARIO ACCOUNTING) und optional eine Bot-Challenge.
+if (TRUST_PROXY > 0) app.set('trust proxy', TRUST_PROXY);
+
+const RATE_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "20/10m" -> { max: 20, windowMs: 600000 }; leer oder "0" -> null (aus)
+function parseRateLimit(name, spec) {
+  const s = String(spec || '').trim();
+  if (!s || s === '0') return null;
+  const m = s.match(/^(\d+)\/(\d*)([smhd])$/);
+  if (!m) {
+    console.error(`❌ Ungültiges Rate-Limit ${name}="${s}" (Format: 20/10m)`);
+    process.exit(1);
   }
+  return { max: Number(m[1]), windowMs: Number(m[2] || 1) * RATE_UNITS[m[3]] };
 }
 
-function vinStoreLoad() {
-  try {
-    if (fs.existsSync(VINMAP_FILE)) {
-      const raw = fs.readFileSync(VINMAP_FILE, 'utf8');
-      const obj = JSON.parse(raw);
-      if (obj && typeof obj === 'object') {
-        for (const [k, v] of Object.entries(obj)) {
-          if (v?.vin) vinStore.set(k, v);
-        }
-      }
+const RATE_LIMITS = {
+  preview: {
+    ip: parseRateLimit('RATE_LIMIT_PREVIEW_IP', RATE_LIMIT_PREVIEW_IP),
+    vin: parseRateLimit('RATE_LIMIT_PREVIEW_VIN', RATE_LIMIT_PREVIEW_VIN)
+  },
+  link_vin: {
+    ip: parseRateLimit('RATE_LIMIT_LINK_VIN_IP', RATE_LIMIT_LINK_VIN_IP),
+    vin: parseRateLimit('RATE_LIMIT_LINK_VIN_VIN', RATE_LIMIT_LINK_VIN_VIN)
+  }
+};
+
+// Fixed Window pro Schlüssel, nur im Speicher (mehrere Instanzen => Limit gilt pro Instanz)
+const rateBuckets = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [k, b] of rateBuckets) if (b.reset_at <= now) rateBuckets.delete(k);
+}, 60 * 1000).unref();
+
+// values = { ip, vin }: nur übergebene Scopes werden gezählt (Vorschau zählt die VIN erst nach der Bot-Challenge)
+// -> null | { scope: 'ip' | 'vin', retry_after_sec }
+function rateLimitCheck(name, values) {
+  const now = Date.now();
+  for (const [scope, value] of Object.entries(values)) {
+    const limit = RATE_LIMITS[name][scope];
+    if (!limit || !value) continue;
+
+    const key = `${name}|${scope}|${value}`;
+    let bucket = rateBuckets.get(key);
+    if (!bucket || bucket.reset_at <= now) {
+      bucket = { count: 0, reset_at: now + limit.windowMs };
+      rateBuckets.set(key, bucket);
     }
-  } catch (e) {
-    console.error('⚠️ VINMAP load failed:', e.message);
+    bucket.count += 1;
+    if (bucket.count > limit.max) return { scope, retry_after_sec: Math.ceil((bucket.reset_at - now) / 1000) };
   }
+  return null;
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+}
+
+// Captcha-Anbieter: alle mit gleichem siteverify-Schema (secret, response, remoteip -> { success })
+const CAPTCHA_PROVIDERS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+if (BOT_CHALLENGE !== 'off' && BOT_CHALLENGE !== 'pow' && !CAPTCHA_PROVIDERS[BOT_CHALLENGE]) {
+  console.error(`❌ Unknown BOT_CHALLENGE "${BOT_CHALLENGE}" (off, pow, ${Object.keys(CAPTCHA_PROVIDERS).join(', ')})`);
+  process.exit(1);
+}
+if (CAPTCHA_PROVIDERS[BOT_CHALLENGE] && (!CAPTCHA_SITE_KEY || !CAPTCHA_SECRET)) {
+  console.error(`❌ BOT_CHALLENGE=${BOT_CHALLENGE} braucht CAPTCHA_SITE_KEY und CAPTCHA_SECRET`);
+  process.exit(1);
+}
+
+// Proof-of-Work (security.js): zustandslos prüfbare Challenges, verbrauchte merkt sich createPow bis zum Ablauf
+const pow = createPow({ secret: hmacHex(LINK_SECRET, 'bot-pow'), difficulty: BOT_POW_DIFFICULTY });
+
+function powIssue() {
+  return pow.issue();
 }
 
-function vinStoreSave() {
+function powVerify(token) {
+  return pow.verify(token);
+}
+
+async function captchaVerify(token, ip) {
+  const fetch = (await import('node-fetch')).default;
+  const body = new URLSearchParams({ secret: CAPTCHA_SECRET, response: token });
+  if (ip) body.set('remoteip', ip);
   try {
-    const obj = {};
-    for (const [k, v] of vinStore.entries()) obj[k] = v;
-    fs.writeFileSync(VINMAP_FILE, JSON.stringify(obj, null, 2), 'utf8');
+    const r = await fetch(CAPTCHA_PROVIDERS[BOT_CHALLENGE], { method: 'POST', body, signal: AbortSignal.timeout(10000) });
+    const json = await r.json().catch(() => ({}));
+    if (json.success) return { ok: true };
+    return { ok: false, reason: 'captcha_rejected', codes: json['error-codes'] || [] };
   } catch (e) {
-    console.error('⚠️ VINMAP save failed:', e.message);
+    console.error(`⚠️ Captcha-Prüfung (${BOT_CHALLENGE}) nicht erreichbar:`, e.message);
+    return { ok: false, reason: 'captcha_unreachable' };
   }
 }
 
-vinStoreLoad();
+// Token im Header x-bot-token (PoW: "<challenge>:<nonce>", Captcha: Widget-Token)
+async function botChallengeVerify(req) {
+  if (BOT_CHALLENGE === 'off') return { ok: true };
+  const token = String(req.headers['x-bot-token'] || '');
+  if (!token) return { ok: false, reason: 'missing_token' };
+  return BOT_CHALLENGE === 'pow' ? powVerify(token) : captchaVerify(token, req.ip);
+}
+
+// ====================== API KEYS (B2B) ======================
+// Collection "api_keys": nur der sha256-Hash des Keys wird gespeichert, der Klartext einmalig beim Anlegen ausgegeben.
+// Collection "api_usage": ein Eintrag pro Report-Abruf (VIN, Vincario-Actions, Preis) – Grundlage der Abrechnung.
+// client_id verknüpft Keys eines Händlers (mehrere Keys möglich) und wählt über themes/*.json "clients" das Branding.
+function apiKeyHash(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function apiKeyPublic({ key_hash, ...k }) {
+  return k;
+}
+
+function apiKeyList({ clientId } = {}) {
+  return store
+    .entries('api_keys')
+    .map(([, k]) => k)
+    .filter(k => !clientId || k.client_id === clientId)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+function apiKeyCreate({ clientId, name = null, monthlyQuota = API_KEY_DEFAULT_QUOTA }) {
+  const key = `fzb_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: `ak_${crypto.randomBytes(6).toString('hex')}`,
+    client_id: clientId,
+    name,
+    prefix: key.slice(0, 10),
+    key_hash: apiKeyHash(key),
+    monthly_quota: monthlyQuota,
+    created_at: new Date().toISOString(),
+    revoked_at: null,
+    last_used_at: null
+  };
+  store.set('api_keys', record.id, record);
+  return { key, record };
+}
+
+function apiKeyFind(key) {
+  const hash = apiKeyHash(key);
+  return apiKeyList().find(k => safeEqual(k.key_hash, hash)) || null;
+}
+
+function usageMonth(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function usageList({ keyId, clientId, month } = {}) {
+  return store
+    .entries('api_usage')
+    .map(([, u]) => u)
+    .filter(u => (!keyId || u.key_id === keyId) && (!clientId || u.client_id === clientId) && (!month || u.month === month))
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+// Eine Einheit kostet jeder Abruf, der einen Report geliefert oder eine bezahlte Vincario-Abfrage
+// (nicht aus dem Cache) ausgelöst hat – auch wenn der Report danach scheitert. Ausnahme billable: false
+// (zurückgehaltener Report, den der Kunde nicht bekommt).
+function usageCharged(u) {
+  return u.billable !== false && Boolean((u.ok && u.report_id) || u.actions.some(a => a.ok && !a.cached));
+}
+
+// Collection "api_quota": Zähler pro Key und Monat ("<key_id>|<YYYY-MM>"), used enthält auch laufende
+// Reservierungen. Fehlt der Zähler (neuer Monat, Bestand vor Einführung), einmal aus api_usage aufbauen.
+function quotaCounter(keyId, month) {
+  const id = `${keyId}|${month}`;
+  const existing = store.get('api_quota', id);
+  if (existing) return existing;
+  const counter = { id, key_id: keyId, month, used: usageList({ keyId, month }).filter(usageCharged).length, updated_at: new Date().toISOString() };
+  store.set('api_quota', id, counter);
+  return counter;
+}
+
+function quotaAdd(keyId, month, units) {
+  const counter = quotaCounter(keyId, month);
+  store.set('api_quota', counter.id, { ...counter, used: Math.max(0, counter.used + units), updated_at: new Date().toISOString() });
+}
+
+// null = unbegrenzt
+function apiKeyQuota(apiKey) {
+  const month = usageMonth();
+  const { used } = quotaCounter(apiKey.id, month);
+  const now = new Date();
+  const reset = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+  const limit = apiKey.monthly_quota;
+  return { month, limit, used, remaining: limit === null ? null : Math.max(0, limit - used), reset };
+}
+
+// Einheiten VOR den Vincario-Abfragen belegen (synchron, parallele Requests können das Limit nicht gemeinsam
+// überschreiten). -> null, wenn das Kontingent nicht reicht; ohne API-Key (Admin-Token) immer eine leere Reservierung.
+// usageRecord verbraucht je berechnetem Abruf eine Einheit, quotaRelease gibt den Rest zurück.
+function quotaReserve(apiKey, units = 1) {
+  if (!apiKey) return { key_id: null, month: null, units: 0 };
+  const quota = apiKeyQuota(apiKey);
+  if (quota.limit !== null && quota.remaining < units) return null;
+  quotaAdd(apiKey.id, quota.month, units);
+  return { key_id: apiKey.id, month: quota.month, units };
+}
+
+function quotaRelease(reservation) {
+  if (!reservation?.key_id || reservation.units <= 0) return;
+  quotaAdd(reservation.key_id, reservation.month, -reservation.units);
+  reservation.units = 0;
+}
+
+// Nutzung erfassen; ohne API-Key (Admin-Token, interne Aufrufe) nicht.
+// Berechnete Abrufe verbrauchen eine Einheit der Reservierung, ohne Reservierung wird direkt gezählt.
+function usageRecord(apiKey, { route, vin, built, billable = true }, reservation = null) {
+  if (!apiKey) return null;
+  const calls = built.vincario || [];
+  const priced = calls.filter(c => c.price !== null);
+  const entry = {
+    id: `use_${crypto.randomBytes(6).toString('hex')}`,
+    at: new Date().toISOString(),
+    month: usageMonth(),
+    key_id: apiKey.id,
+    client_id: apiKey.client_id,
+    route,
+    vin,
+    ok: Boolean(built.ok),
+    billable,
+    report_id: built.report?.report_id || null,
+    actions: calls,
+    vincario_price: priced.length ? Math.round(priced.reduce((sum, c) => sum + c.price, 0) * 10000) / 10000 : null,
+    currency: calls.find(c => c.currency)?.currency || null
+  };
+  store.set('api_usage', entry.id, entry);
+
+  if (usageCharged(entry)) {
+    if (reservation?.units > 0) reservation.units -= 1;
+    else quotaAdd(apiKey.id, entry.month, 1);
+  }
+  return entry;
+}
+
+// Monatsübersicht pro Kunde (Rechnungsgrundlage)
+function usageSummary({ clientId, month } = {}) {
+  const groups = new Map();
+  for (const u of usageList({ clientId, month })) {
+    const k = `${u.client_id}|${u.month}`;
+    const g = groups.get(k) || {
+      client_id: u.client_id,
+      month: u.month,
+      reports: 0,
+      monitor_checks: 0,
+      failed: 0,
+      vincario_calls: 0,
+      vincario_cached: 0,
+      vincario_price: 0,
+      currency: null,
+      keys: new Set()
+    };
+    if (!u.ok || u.billable === false) g.failed += 1;
+    else if (u.report_id) g.reports += 1;
+    else g.monitor_checks += 1;
+    g.vincario_calls += u.actions.filter(a => !a.cached).length;
+    g.vincario_cached += u.actions.filter(a => a.cached).length;
+    g.vincario_price += u.vincario_price || 0;
+    g.currency = g.currency || u.currency;
+    g.keys.add(u.key_id);
+    groups.set(k, g);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, vincario_price: Math.round(g.vincario_price * 10000) / 10000, keys: [...g.keys].join(',') }))
+    .sort((a, b) => a.month.localeCompare(b.month) || a.client_id.localeCompare(b.client_id));
+}
+
+const API_KEY_TOUCH_MS = 60 * 1000;
+
+// x-api-key oder Authorization: Bearer <key>; ADMIN_TOKEN geht auch (intern, ohne Kontingent/Nutzung)
+function requireApiKey(req, res, next) {
+  const auth = String(req.headers.authorization || '');
+  const presented = String(req.headers['x-api-key'] || (auth.startsWith('Bearer ') ? auth.slice(7).trim() : ''));
+  if (!presented) return res.status(401).json({ success: false, error: 'api_key_required' });
+  if (ADMIN_TOKEN && safeEqual(presented, ADMIN_TOKEN)) {
+    req.isAdmin = true;
+    return next();
+  }
+
+  const apiKey = apiKeyFind(presented);
+  if (!apiKey || apiKey.revoked_at) return res.status(401).json({ success: false, error: 'invalid_api_key' });
+
+  const quota = apiKeyQuota(apiKey);
+  if (quota.limit !== null) {
+    res.set('X-Quota-Limit', String(quota.limit));
+    res.set('X-Quota-Remaining', String(quota.remaining));
+    res.set('X-Quota-Reset', quota.reset);
+  }
+  // Kein pauschales 429: kostenpflichtige Routen reservieren selbst (quotaReserve), Status/Downloads bleiben erreichbar
+
+  // last_used_at höchstens einmal pro Minute schreiben – jeder set() hängt beim jsonl-Store eine Zeile an
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > API_KEY_TOUCH_MS) {
+    store.set('api_keys', apiKey.id, { ...apiKey, last_used_at: new Date().toISOString() });
+  }
+  req.apiKey = apiKey;
+  return next();
+}
+
+// /api/order: ohne Key nur mit ALLOW_TEST_ORDERS; ein mitgeschickter Key wird wie immer geprüft
+function requireApiKeyOrTestOrder(req, res, next) {
+  if (ALLOW_TEST_ORDERS && !req.headers['x-api-key'] && !req.headers.authorization) {
+    req.testOrder = true;
+    return next();
+  }
+  return requireApiKey(req, res, next);
+}
+
+// ====================== DOWNLOAD LINKS ======================
+// 24 Zeichen; 10 Zeichen = alte, aus VIN+Tag abgeleitete IDs. Die sind erratbar, deshalb nur noch mit
+// signiertem Download-Link (legacy: true) – nie über die öffentliche Prüfung /api/verify
+function isValidReportId(id, { legacy = false } = {}) {
+  return (legacy ? /^(?:[A-F0-9]{24}|[A-F0-9]{10})$/ : /^[A-F0-9]{24}$/).test(String(id || ''));
+}
+
+function reportPdfPath(reportId) {
+  return path.join(REPORTS_DIR, `FZB24_${reportId}.pdf`);
+}
+
+function signReportLink(reportId, expires) {
+  return crypto.createHmac('sha256', LINK_SECRET).update(`${reportId}|${expires}`).digest('base64url');
+}
+
+function makeDownloadUrl(reportId) {
+  const expires = Math.floor(Date.now() / 1000) + Math.round(REPORT_LINK_TTL_HOURS * 3600);
+  const sig = signReportLink(reportId, expires);
+  return {
+    url: `${PUBLIC_BASE_URL}/api/reports/${encodeURIComponent(reportId)}/download?expires=${expires}&sig=${sig}`,
+    expires_at: new Date(expires * 1000).toISOString()
+  };
+}
+
+function verifyReportLink(reportId, expires, sig) {
+  const exp = Number(expires);
+  if (!Number.isFinite(exp) || exp * 1000 < Date.now()) return false;
+  return safeEqual(sig, signReportLink(reportId, exp));
+}
+
+// PDFs nur so lange aufheben, wie ein Link gültig sein kann
+function reportsCleanup() {
+  const maxAgeMs = REPORT_LINK_TTL_HOURS * 60 * 60 * 1000;
+  const now = Date.now();
+  try {
+    for (const f of fs.readdirSync(REPORTS_DIR)) {
+      if (!f.endsWith('.pdf')) continue;
+      const p = path.join(REPORTS_DIR, f);
+      const st = fs.statSync(p);
+      if (now - st.mtimeMs > maxAgeMs) fs.unlinkSync(p);
+    }
+  } catch (e) {
+    console.error('⚠️ Reports cleanup failed:', e.message);
+  }
+}
+
+// ====================== STORE ======================
+// Treiber-Interface (alle synchron):
+//   get(collection, key) -> value | undefined
+//   set(collection, key, value)
+//   delete(collection, key)
+//   entries(collection) -> [[key, value], ...]
+// Weitere Treiber (Redis, Postgres, …) einfach in STORE_DRIVERS eintragen.
+function createMemoryStore() {
+  const collections = new Map();
+  const col = name => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  return {
+    get: (c, k) => col(c).get(k),
+    set: (c, k, v) => { col(c).set(k, v); },
+    delete: (c, k) => { col(c).delete(k); },
+    entries: c => [...col(c).entries()]
+  };
+}
+
+// Eine .jsonl Datei pro Collection, append-only; wird beim Start eingelesen
+// und kompaktiert, sobald sie deutlich mehr Zeilen als lebende Keys hat.
+function createJsonlStore(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const mem = createMemoryStore();
+  const lineCounts = new Map();
+  const fileOf = c => path.join(dir, `${c}.jsonl`);
+
+  const load = c => {
+    if (lineCounts.has(c)) return;
+    let lines = 0;
+    try {
+      if (fs.existsSync(fileOf(c))) {
+        for (const line of fs.readFileSync(fileOf(c), 'utf8').split('\n')) {
+          if (!line.trim()) continue;
+          lines++;
+          try {
+            const rec = JSON.parse(line);
+            if (rec.deleted) mem.delete(c, rec.k);
+            else mem.set(c, rec.k, rec.v);
+          } catch {
+            // kaputte Zeile (z.B. Abbruch beim Schreiben) überspringen
+          }
+        }
+      }
+    } catch (e) {
+      console.error(`⚠️ Store load failed (${c}):`, e.message);
+    }
+    lineCounts.set(c, lines);
+  };
+
+  const compact = c => {
+    const tmp = `${fileOf(c)}.tmp`;
+    const entries = mem.entries(c);
+    fs.writeFileSync(tmp, entries.map(([k, v]) => JSON.stringify({ k, v }) + '\n').join(''), 'utf8');
+    fs.renameSync(tmp, fileOf(c));
+    lineCounts.set(c, entries.length);
+  };
+
+  const append = (c, rec) => {
+    try {
+      fs.appendFileSync(fileOf(c), JSON.stringify(rec) + '\n', 'utf8');
+      const lines = lineCounts.get(c) + 1;
+      lineCounts.set(c, lines);
+      if (lines > 1000 && lines > 2 * mem.entries(c).length) compact(c);
+    } catch (e) {
+      console.error(`⚠️ Store write failed (${c}):`, e.message);
+    }
+  };
+
+  return {
+    get: (c, k) => { load(c); return mem.get(c, k); },
+    set: (c, k, v) => { load(c); mem.set(c, k, v); append(c, { k, v }); },
+    delete: (c, k) => {
+      load(c);
+      if (mem.get(c, k) === undefined) return;
+      mem.delete(c, k);
+      append(c, { k, deleted: true });
+    },
+    entries: c => { load(c); return mem.entries(c); }
+  };
+}
+
+const STORE_DRIVERS = {
+  jsonl: () => createJsonlStore(DATA_DIR),
+  memory: () => createMemoryStore()
+};
+
+function createStore(driver) {
+  const factory = STORE_DRIVERS[driver];
+  if (!factory) {
+    console.error(`❌ Unknown STORE_DRIVER "${driver}" (${Object.keys(STORE_DRIVERS).join(', ')})`);
+    process.exit(1);
+  }
+  return factory();
+}
+
+const store = createStore(STORE_DRIVER);
+
+// ====================== ORDERS ======================
+const ORDER_STATUSES = ['received', 'needs_manual_check', 'built', 'pdf_rendered', 'sent', 'failed'];
+
+function orderGet(purchaseFlowId) {
+  return store.get('orders', purchaseFlowId) || null;
+}
+
+function orderUpsert(purchaseFlowId, patch = {}) {
+  const now = new Date().toISOString();
+  const prev = orderGet(purchaseFlowId);
+  const order = {
+    purchaseFlowId,
+    status: 'received',
+    status_history: [{ status: 'received', at: now }],
+    created_at: now,
+    ...prev,
+    ...patch,
+    updated_at: now
+  };
+  store.set('orders', purchaseFlowId, order);
+  return order;
+}
+
+function orderSetStatus(purchaseFlowId, status, extra = {}) {
+  if (!ORDER_STATUSES.includes(status)) throw new Error(`invalid order status: ${status}`);
+  const prev = orderGet(purchaseFlowId);
+  const history = [...(prev?.status_history || []), { status, at: new Date().toISOString(), ...(extra.error ? { error: extra.error } : {}) }];
+  const order = orderUpsert(purchaseFlowId, { ...extra, status, status_history: history });
+  if (ORDER_WEBHOOK_EVENTS[status]) webhookEmitOrder(ORDER_WEBHOOK_EVENTS[status], order);
+  return order;
+}
+
+function orderList({ status } = {}) {
+  return store
+    .entries('orders')
+    .map(([, o]) => o)
+    .filter(o => !status || o.status === status)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+// Gebaute Reports (für Resend / erneutes Rendern ohne neue Vincario-Abfrage)
+function reportSave(report) {
+  store.set('reports', report.report_id, report);
+}
+
+function reportGet(reportId) {
+  return store.get('reports', reportId) || null;
+}
+
+function reportLatestForVin(vin) {
+  return store
+    .entries('reports')
+    .map(([, r]) => r)
+    .filter(r => r.vin === vin)
+    .sort((a, b) => String(b.generated_at).localeCompare(String(a.generated_at)))[0] || null;
+}
+
+// ====================== IDEMPOTENCY ======================
+// Maßgeblich ist die gespeicherte Bestellung (bleibt ORDER_RETENTION_DAYS): "processed" ist nur der schnelle
+// Weg für die ersten Stunden, danach entscheidet orderGet. Erneut zugestellt werden darf nur eine Bestellung,
+// deren Webhook vor der Annahme gescheitert ist (status failed ohne accepted_at) – der Shop wiederholt dann.
+const DEDUPE_TTL_MS = Number(process.env.DEDUPE_TTL_MS || 6 * 60 * 60 * 1000); // 6h
+
+function wasProcessed(key) {
+  const exp = store.get('processed', key);
+  if (exp && Date.now() <= exp) return true;
+  if (exp) store.delete('processed', key);
+
+  const order = orderGet(key);
+  return Boolean(order) && (Boolean(order.accepted_at) || order.status !== 'failed');
+}
+
+function markProcessed(key) {
+  store.set('processed', key, Date.now() + DEDUPE_TTL_MS);
+  const order = orderGet(key);
+  if (order && !order.accepted_at) orderUpsert(key, { accepted_at: new Date().toISOString() });
+}
+
+// ====================== VIN STORE (fallback) ======================
+// purchaseFlowId -> { vin, email, ts }
+const VINSTORE_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+
+function vinStoreCleanup() {
+  const now = Date.now();
+  for (const [k, v] of store.entries('vinmap')) {
+    if (!v?.ts || now - v.ts > VINSTORE_TTL_MS) store.delete('vinmap', k);
+  }
+  for (const [k, exp] of store.entries('processed')) {
+    if (now > exp) store.delete('processed', k);
+  }
+}
+
+function vinStoreLoad(purchaseFlowId) {
+  return store.get('vinmap', purchaseFlowId) || null;
+}
+
+function vinStoreSave(purchaseFlowId, entry) {
+  store.set('vinmap', purchaseFlowId, entry);
+}
+
+// Einmalige Übernahme der alten /tmp/vinmap.json
+function vinStoreMigrateLegacy() {
+  try {
+    if (!fs.existsSync(VINMAP_FILE)) return;
+    const obj = JSON.parse(fs.readFileSync(VINMAP_FILE, 'utf8'));
+    if (obj && typeof obj === 'object') {
+      for (const [k, v] of Object.entries(obj)) {
+        if (v?.vin && !vinStoreLoad(k)) vinStoreSave(k, v);
+      }
+    }
+    fs.renameSync(VINMAP_FILE, `${VINMAP_FILE}.migrated`);
+  } catch (e) {
+    console.error('⚠️ VINMAP migration failed:', e.message);
+  }
+}
+
+vinStoreMigrateLegacy();
+
+// ====================== RETENTION ======================
+// Pro Collection: wann ein Eintrag weg darf. Läuft beim Start und stündlich (alles im Speicher + jsonl).
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function olderThan(iso, days, now) {
+  return days > 0 && Boolean(iso) && now - new Date(iso).getTime() > days * DAY_MS;
+}
+
+const RETENTION_RULES = {
+  // Laufende/wartende Jobs nie, Dead-Letter erst nach Ablauf (bis dahin per Admin erneut anstoßbar);
+  // nie aufgelöste "held"-Jobs so lange wie ihre Bestellung
+  jobs: (j, now) =>
+    (['done', 'dead'].includes(j.status) && olderThan(j.updated_at || j.created_at, JOB_RETENTION_DAYS, now)) ||
+    (j.status === 'held' && olderThan(j.updated_at || j.created_at, ORDER_RETENTION_DAYS, now)),
+  mails: (m, now) => olderThan(m.updated_at || m.created_at, MAIL_RETENTION_DAYS, now),
+  orders: (o, now) => olderThan(o.updated_at || o.created_at, ORDER_RETENTION_DAYS, now) && !jobActiveFor(o.purchaseFlowId),
+  vincario_cache: (c, now) => !c?.expires_at || c.expires_at <= now,
+  api_usage: (u, now) => olderThan(u.at, USAGE_RETENTION_DAYS, now),
+  api_quota: (q, now) => olderThan(q.updated_at, USAGE_RETENTION_DAYS, now),
+  // offene Zustellungen nie (der Job hängt noch dran)
+  webhook_deliveries: (d, now) =>
+    !['pending', 'retrying'].includes(d.status) && olderThan(d.updated_at || d.created_at, WEBHOOK_DELIVERY_RETENTION_DAYS, now)
+};
+
+function storePrune() {
+  const now = Date.now();
+  const removed = {};
+  for (const [collection, expired] of Object.entries(RETENTION_RULES)) {
+    for (const [k, v] of store.entries(collection)) {
+      if (!expired(v, now)) continue;
+      store.delete(collection, k);
+      removed[collection] = (removed[collection] || 0) + 1;
+    }
+  }
+  vinStoreCleanup();
+  if (Object.keys(removed).length) console.log('🧹 Store aufgeräumt:', JSON.stringify(removed));
+  return removed;
+}
+
+function startStorePruning() {
+  try {
+    storePrune();
+  } catch (err) {
+    console.error('⚠️ Store-Aufräumen fehlgeschlagen:', err.message);
+  }
+  setInterval(() => {
+    try {
+      storePrune();
+    } catch (err) {
+      console.error('⚠️ Store-Aufräumen fehlgeschlagen:', err.message);
+    }
+  }, 60 * 60 * 1000).unref();
+}
+
+// ====================== WIX PAYLOAD PARSER ======================
+function getWixData(payload) {
+  // Wix kann liefern:
+  // - payload.data (dein neuer "order_placed" Trigger)
+  // - payload.data.order (alte Struktur)
+  // - payload.order (manchmal)
+  const p = payload || {};
+  if (p.data && typeof p.data === 'object') return p.data;
+  return p;
+}
+
+function extractOrderLike(payload) {
+  const p = payload || {};
+  if (p.order && typeof p.order === 'object') return p.order;
+  if (p.data?.order && typeof p.data.order === 'object') return p.data.order;
+
+  // Wenn data selbst wie "order" aussieht (lineItems, purchaseFlowId, orderNumber)
+  if (p.data && typeof p.data === 'object') {
+    const d = p.data;
+    if (d.lineItems || d.purchaseFlowId || d.orderNumber || d.checkoutId || d.cartId) return d;
+  }
+
+  // fallback: payload selbst
+  if (p.lineItems || p.purchaseFlowId) return p;
+
+  return null;
+}
+
+function extractPurchaseFlowId(payload, orderLike) {
+  const d = getWixData(payload);
+  return (
+    payload?.purchaseFlowId ||
+    payload?.data?.purchaseFlowId ||
+    d?.purchaseFlowId ||
+    orderLike?.purchaseFlowId ||
+    orderLike?.purchaseFlow?.id ||
+    payload?.orderId ||
+    payload?.data?.orderId ||
+    orderLike?.id ||
+    null
+  );
+}
+
+function extractEmail(payload, orderLike) {
+  const d = getWixData(payload);
+
+  const candidates = [
+    // neue payloads
+    d?.buyerEmail,
+    d?.contact?.email,
+    d?.billingInfo?.address?.email,
+    d?.shippingInfo?.address?.email,
+    // alte order struktur
+    orderLike?.buyerInfo?.email,
+    orderLike?.buyer_info?.email,
+    orderLike?.billingInfo?.address?.email,
+    orderLike?.shippingInfo?.address?.email,
+    payload?.email
+  ].filter(Boolean);
+
+  const email = candidates.length ? String(candidates[0]).trim() : null;
+  return email || null;
+}
+
+// Sprache des Käufers (Wix: buyerLanguage / locale), null wenn nicht erkennbar
+function extractLang(payload, orderLike) {
+  const d = getWixData(payload);
+  const candidates = [
+    payload?.lang,
+    d?.buyerLanguage,
+    d?.language,
+    d?.locale,
+    d?.order?.buyerLanguage,
+    orderLike?.buyerLanguage,
+    orderLike?.buyer_language,
+    orderLike?.buyerInfo?.language,
+    orderLike?.channelInfo?.locale
+  ];
+  for (const c of candidates) {
+    const l = normalizeLang(c);
+    if (l) return l;
+  }
+  return null;
+}
+
+function extractVinFromPayload(payload, orderLike) {
+  const d = getWixData(payload);
+  const o = orderLike || {};
+
+  // 1) direkt
+  const directCandidates = [
+    payload?.vin,
+    d?.vin,
+    d?.checkoutCustomFields?.vin,
+    d?.checkoutCustomFields?.fin
+  ].filter(Boolean);
+  for (const v of directCandidates) {
+    const s = sanitizeVin(v);
+    if (isLikelyVin(s)) return s;
+  }
+
+  // 2) checkoutCustomFields: könnte object mit keys sein
+  const ccf = d?.checkoutCustomFields;
+  if (ccf && typeof ccf === 'object') {
+    for (const [k, v] of Object.entries(ccf)) {
+      const key = String(k || '').toLowerCase();
+      const val = String(v || '').trim();
+      if (!val) continue;
+
+      if (key.includes('vin') || key.includes('fin') || key.includes('fahrgestell')) {
+        const s = sanitizeVin(val);
+        if (isLikelyVin(s)) return s;
+      }
+      const s = sanitizeVin(val);
+      if (isLikelyVin(s)) return s;
+    }
+  }
+
+  // 3) extendedFields._user_fields (bei dir früher fahrgestellnummer_fin_1)
+  const userFields =
+    o?.extendedFields?.namespaces?._user_fields ||
+    o?.extended_fields?.namespaces?._user_fields ||
+    d?.order?.extendedFields?.namespaces?._user_fields ||
+    d?.order?.extended_fields?.namespaces?._user_fields ||
+    null;
+
+  if (userFields && typeof userFields === 'object') {
+    for (const [k, v] of Object.entries(userFields)) {
+      if (!v) continue;
+      const key = String(k || '').toLowerCase();
+      const val = String(v || '').trim();
+      if (!val) continue;
+
+      if (key.includes('vin') || key.includes('fin') || key.includes('fahrgestell')) {
+        const s = sanitizeVin(val);
+        if (isLikelyVin(s)) return s;
+      }
+      const s = sanitizeVin(val);
+      if (isLikelyVin(s)) return s;
+    }
+  }
+
+  // 4) lineItems customTextFields (falls doch irgendwo drin)
+  const lineItems =
+    o?.lineItems ||
+    o?.line_items ||
+    d?.lineItems ||
+    d?.line_items ||
+    [];
+
+  for (const li of (Array.isArray(lineItems) ? lineItems : [])) {
+    const ctf = li?.customTextFields || li?.custom_text_fields || li?.customTextField || [];
+    if (!Array.isArray(ctf)) continue;
+
+    for (const f of ctf) {
+      const title = String(f?.title || f?.name || '').toLowerCase();
+      const value = f?.value;
+      if (!value) continue;
+
+      const hits = ['fin', 'vin', 'fahrgestell', 'fahrgestellnummer'];
+      if (hits.some(h => title.includes(h))) {
+        const s = sanitizeVin(value);
+        if (isLikelyVin(s)) return s;
+      }
+
+      const s = sanitizeVin(value);
+      if (isLikelyVin(s)) return s;
+    }
+  }
+
+  return null;
+}
+
+function extractWixAmount(payload, orderLike) {
+  const d = getWixData(payload);
+  const value =
+    d?.priceSummary?.total?.amount ??
+    orderLike?.priceSummary?.total?.amount ??
+    orderLike?.totals?.total ??
+    d?.totals?.total ??
+    null;
+  const currency = d?.currency || orderLike?.currency || null;
+  return value === null ? null : { value: toNumber(value), currency };
+}
+
+// ====================== SHOP ADAPTERS ======================
+// Jeder Shop liefert: verify(req) -> { ok, reason } und parse(payload) -> Bestellung oder { ignore: 'grund' }.
+// Bestellung: { orderId, email, vin, amount: { value, currency } | null, locale }
+// Neue Shops hier eintragen; Route: POST /api/webhooks/:provider
+
+// VIN aus [Feldname, Wert]-Paaren: erst Felder mit VIN/FIN im Namen, dann jeder Wert, der wie eine VIN aussieht
+function findVinInFields(pairs) {
+  const named = pairs.filter(([k]) => /vin|fin|fahrgestell/i.test(String(k || '')));
+  for (const [, v] of [...named, ...pairs]) {
+    const s = sanitizeVin(v);
+    if (s && isLikelyVin(s)) return s;
+  }
+  return null;
+}
+
+const SHOP_ADAPTERS = {
+  wix: {
+    enabled: () => true,
+    verify: req => checkWebhookAuth(req),
+    parse(payload) {
+      const orderLike = extractOrderLike(payload);
+      return {
+        orderId: extractPurchaseFlowId(payload, orderLike),
+        email: extractEmail(payload, orderLike),
+        vin: extractVinFromPayload(payload, orderLike),
+        amount: extractWixAmount(payload, orderLike),
+        locale: extractLang(payload, orderLike)
+      };
+    }
+  },
+
+  // Shopify "orders/paid": X-Shopify-Hmac-Sha256 = base64(HMAC-SHA256(rawBody))
+  // Shopify signiert keinen Zeitstempel: Replays fängt wasProcessed über die gespeicherte Bestellung ab, solange
+  // die aufbewahrt wird (ORDER_RETENTION_DAYS) – Bestellungen, die älter sind, nehmen wir deshalb gar nicht an.
+  // VIN als Warenkorb-Attribut (note_attributes) oder Line-Item-Property
+  shopify: {
+    enabled: () => SHOPIFY_WEBHOOK_SECRETS.length > 0,
+    verify(req) {
+      const sig = String(req.headers['x-shopify-hmac-sha256'] || '');
+      if (!sig) return { ok: false, reason: 'missing_signature' };
+      const secret = SHOPIFY_WEBHOOK_SECRETS.findIndex(sec => safeEqual(sig, hmacBase64(sec, req.rawBody || '')));
+      return secret >= 0 ? { ok: true, secret } : { ok: false, reason: 'bad_signature' };
+    },
+    parse(order) {
+      if (!order?.id) return { ignore: 'no_order' };
+      if (olderThan(order.created_at, ORDER_RETENTION_DAYS, Date.now())) return { ignore: 'order_too_old' };
+      const pairs = [
+        ...(order.note_attributes || []).map(a => [a.name, a.value]),
+        ...(order.line_items || []).flatMap(li => (li.properties || []).map(p => [p.name, p.value])),
+        ['note', order.note]
+      ];
+      return {
+        orderId: `shopify_${order.id}`,
+        email: order.email || order.contact_email || order.customer?.email || null,
+        vin: findVinInFields(pairs),
+        amount: order.total_price !== undefined ? { value: toNumber(order.total_price), currency: order.currency || null } : null,
+        locale: order.customer_locale || null
+      };
+    }
+  },
+
+  // Stripe Checkout: Stripe-Signature "t=<ts>,v1=<hex>" über "<ts>.<rawBody>", nur checkout.session.completed
+  // VIN als Custom Field (key "vin"/"fin") oder metadata.vin
+  stripe: {
+    enabled: () => STRIPE_WEBHOOK_SECRETS.length > 0,
+    verify: req => verifyTimestampedHmac(req, req.headers['stripe-signature'], STRIPE_WEBHOOK_SECRETS),
+    parse(event) {
+      if (event?.type !== 'checkout.session.completed') return { ignore: `event_${event?.type || 'unknown'}` };
+      const session = event.data?.object || {};
+      if (session.payment_status && session.payment_status !== 'paid') return { ignore: `payment_${session.payment_status}` };
+      const pairs = [
+        ...(session.custom_fields || []).map(f => [f.key, f.text?.value ?? f.dropdown?.value ?? f.numeric?.value]),
+        ...Object.entries(session.metadata || {})
+      ];
+      return {
+        orderId: `stripe_${session.id}`,
+        email: session.customer_details?.email || session.customer_email || null,
+        vin: findVinInFields(pairs),
+        amount: session.amount_total !== undefined && session.amount_total !== null
+          ? { value: session.amount_total / 100, currency: String(session.currency || '').toUpperCase() || null }
+          : null,
+        locale: session.locale || null
+      };
+    }
+  }
+};
+
+// ====================== DELIVERY ======================
+async function sendCustomerReportMail(report, filePath, { purchaseFlowId = null } = {}) {
+  const lang = normalizeLang(report.lang) || DEFAULT_LANG;
+  const link = makeDownloadUrl(report.report_id);
+
+  await sendTemplateMail('report_delivered', {
+    to: report.email,
+    lang,
+    theme: report.theme,
+    purchaseFlowId,
+    vars: {
+      vin: report.vin,
+      report_id: report.report_id,
+      download_url: link.url,
+      download_expires: formatDateTime(link.expires_at, lang),
+      verify_url: verifyUrl(report.report_id),
+      disclaimer: report.disclaimer
+    },
+    attachments: [
+      {
+        filename: `FZB24_Report_${report.vin}.pdf`,
+        path: filePath
+      }
+    ]
+  });
+
+  return link;
+}
+
+// ====================== JOB QUEUE ======================
+// Jobs liegen im Store (Collection "jobs") und überleben damit Neustarts.
+// Ein Job durchläuft seine Steps der Reihe nach; schlägt ein Step fehl, wird
+// nur dieser Step mit exponentiellem Backoff wiederholt. Nach JOB_MAX_ATTEMPTS
+// landet der Job in der Dead-Letter-Liste (status "dead").
+const JOB_POLL_MS = Number(process.env.JOB_POLL_MS || 2000);
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 5);
+const JOB_RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 30 * 1000);
+const JOB_RETRY_MAX_MS = 60 * 60 * 1000; // 1h
+
+class PermanentJobError extends Error {}
+
+// dead(job, err): optionaler Hook, wenn ein Job endgültig aufgegeben wird
+// lane: Worker-Lane (JOB_LANES, Default "orders"); alertOnDead: false => keine job_dead-Mail an den Admin
+const JOB_TYPES = {
+  webhook: {
+    lane: 'webhook',
+    // tote Zustellungen stehen im Zustell-Log (/api/admin/webhook-deliveries?status=dead) – bei einem
+    // ausgefallenen Empfänger wäre sonst jede Bestellung eine eigene Alert-Mail
+    alertOnDead: false,
+    steps: ['deliver'],
+    deliver: job => webhookDeliver(job),
+    dead: job => webhookDeliveryUpdate(job.delivery_id, { status: 'dead' })
+  },
+
+  wix_order: {
+    steps: ['build', 'render', 'mail'],
+
+    async build(job) {
+      const built = await buildPremiumReport(job.vin, job.email, { lang: resolveLang(job.lang), theme: resolveTheme(job.theme) });
+      if (!built.ok) {
+        // 4xx von Vincario (z.B. VIN unbekannt) wird durch Wiederholen nicht besser
+        const msg = `${built.error} (${built.status}): ${String(built.raw || '').slice(0, 500)}`;
+        const permanent = built.status >= 400 && built.status < 500 && built.status !== 429;
+        throw permanent ? new PermanentJobError(msg) : new Error(msg);
+      }
+      reportSave(built.report);
+      orderSetStatus(job.purchaseFlowId, 'built', { report_id: built.report.report_id });
+
+      const holdReason = reportHoldReason(built.report);
+      if (holdReason) {
+        await holdOrderForReview(job, built.report, holdReason);
+        return { report: built.report, halt: true };
+      }
+      return { report: built.report };
+    },
+
+    async render(job) {
+      reportsCleanup();
+      const filePath = reportPdfPath(job.report.report_id);
+      const rendered = await renderReportPdf(job.report, filePath);
+      const pdf = { pdf_file: path.basename(filePath), pdf_renderer: rendered.renderer, pdf_signed: rendered.signed };
+      orderSetStatus(job.purchaseFlowId, 'pdf_rendered', pdf);
+      return pdf;
+    },
+
+    async mail(job) {
+      const filePath = reportPdfPath(job.report.report_id);
+      // PDF weg (Instanz neu gestartet, /tmp leer) => nochmal rendern
+      if (!fs.existsSync(filePath)) return { step: 'render' };
+
+      const link = await sendCustomerReportMail({ ...job.report, email: job.email || job.report.email }, filePath, {
+        purchaseFlowId: job.purchaseFlowId
+      });
+      orderSetStatus(job.purchaseFlowId, 'sent', { sent_at: new Date().toISOString() });
+      return { download_url: link.url };
+    }
+  }
+};
+
+function jobGet(id) {
+  return store.get('jobs', id) || null;
+}
+
+function jobSave(job) {
+  job.updated_at = new Date().toISOString();
+  store.set('jobs', job.id, job);
+  return job;
+}
+
+function jobList({ status } = {}) {
+  return store
+    .entries('jobs')
+    .map(([, j]) => j)
+    .filter(j => !status || j.status === status)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+function jobActiveFor(purchaseFlowId) {
+  return jobList().find(j => j.purchaseFlowId === purchaseFlowId && ['queued', 'running'].includes(j.status)) || null;
+}
+
+function jobEnqueue(type, data, { step } = {}) {
+  const def = JOB_TYPES[type];
+  if (!def) throw new Error(`unknown job type: ${type}`);
+  if (step && !def.steps.includes(step)) throw new Error(`unknown step for ${type}: ${step}`);
+  return jobSave({
+    id: `job_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    ...data,
+    status: 'queued',
+    step: step || def.steps[0],
+    attempts: 0,
+    next_run_at: Date.now(),
+    errors: [],
+    created_at: new Date().toISOString()
+  });
+}
+
+function jobBackoffMs(attempts) {
+  return Math.min(JOB_RETRY_BASE_MS * 2 ** (attempts - 1), JOB_RETRY_MAX_MS);
+}
+
+// Dead-Letter erneut anstoßen: ab dem Step, an dem der Job hängen geblieben ist
+function jobRedrive(id) {
+  const job = jobGet(id);
+  if (!job) return null;
+  return jobSave({ ...job, status: 'queued', attempts: 0, next_run_at: Date.now() });
+}
+
+// Zurückgehaltene Jobs (halt) einer Bestellung abschließen, sobald der Admin sie per resend/assign-vin neu anstößt
+function jobResolveHeld(purchaseFlowId, resolvedBy) {
+  for (const job of jobList({ status: 'held' }).filter(j => j.purchaseFlowId === purchaseFlowId)) {
+    jobSave({ ...job, status: 'done', resolved_by: resolvedBy });
+  }
+}
+
+async function jobDeadLetter(job, err) {
+  job.status = 'dead';
+  jobSave(job);
+  console.error(`❌ Job ${job.id} (${job.type}) dead-lettered in step ${job.step}:`, err.message);
+  JOB_TYPES[job.type].dead?.(job, err);
+
+  if (job.purchaseFlowId) {
+    try {
+      orderSetStatus(job.purchaseFlowId, 'failed', { error: `${job.step}: ${err.message}` });
+    } catch {}
+  }
+
+  if (JOB_TYPES[job.type].alertOnDead === false) return;
+  await sendAdminAlert('job_dead', {
+    id: job.purchaseFlowId || job.id,
+    purchaseFlowId: job.purchaseFlowId,
+    fields: {
+      jobId: job.id,
+      purchaseFlowId: job.purchaseFlowId,
+      email: job.email,
+      vin: job.vin,
+      Step: job.step,
+      Versuche: job.attempts,
+      Fehler: err.message
+    },
+    hint: `Erneut anstoßen: POST ${PUBLIC_BASE_URL}/api/admin/jobs/${job.id}/retry`
+  });
+}
+
+// Report unvollständig (REPORT_INCOMPLETE_POLICY=hold) => Admin entscheidet über Auslieferung
+async function holdOrderForReview(job, report, reason) {
+  orderSetStatus(job.purchaseFlowId, 'needs_manual_check', { hold_reason: reason });
+
+  await sendAdminAlert('report_held', {
+    id: job.purchaseFlowId,
+    purchaseFlowId: job.purchaseFlowId,
+    fields: {
+      purchaseFlowId: job.purchaseFlowId,
+      email: job.email,
+      vin: job.vin,
+      'Report-ID': report.report_id,
+      Grund: reason
+    },
+    hint:
+      `So ausliefern: POST ${PUBLIC_BASE_URL}/api/admin/orders/${encodeURIComponent(job.purchaseFlowId)}/resend\n` +
+      `Neu abfragen: POST …/resend { "rebuild": true }`,
+    details: `Check-Fehler:\n${safeJson(Object.fromEntries(Object.entries(report.checks).map(([k, c]) => [k, c.error || null])))}`
+  });
+
+  await sendManualCheckMail({ purchaseFlowId: job.purchaseFlowId, email: job.email, lang: job.lang, theme: job.theme, reason: 'incomplete' });
+}
+
+async function jobRun(job) {
+  const def = JOB_TYPES[job.type];
+  job.status = 'running';
+  jobSave(job);
+
+  while (job.status === 'running') {
+    try {
+      const patch = (await def[job.step](job)) || {};
+      const { halt, ...rest } = patch;
+      const next = rest.step || def.steps[def.steps.indexOf(job.step) + 1];
+      Object.assign(job, rest, { attempts: 0 });
+      if (halt) {
+        job.status = 'held';
+      } else if (next) {
+        job.step = next;
+      } else {
+        job.status = 'done';
+        job.step = 'done';
+      }
+      jobSave(job);
+    } catch (err) {
+      job.attempts += 1;
+      job.errors = [...(job.errors || []), { step: job.step, at: new Date().toISOString(), error: err.message }].slice(-20);
+
+      if (err instanceof PermanentJobError || job.attempts >= JOB_MAX_ATTEMPTS) {
+        await jobDeadLetter(job, err);
+        return;
+      }
+
+      job.status = 'queued';
+      job.next_run_at = Date.now() + jobBackoffMs(job.attempts);
+      jobSave(job);
+      log(`🔁 Job ${job.id} step ${job.step} failed (attempt ${job.attempts}), retry in ${jobBackoffMs(job.attempts)}ms:`, err.message);
+    }
+  }
+}
+
+// Lane -> max. gleichzeitige Jobs. "orders" bewusst einer nach dem anderen (Chromium + kleine Render-Instanz),
+// Webhooks getrennt davon: ein langsamer Empfänger hält keine Bestellung auf und umgekehrt.
+const JOB_LANES = { orders: 1, webhook: OUTBOUND_WEBHOOK_CONCURRENCY };
+const jobLaneBusy = Object.fromEntries(Object.keys(JOB_LANES).map(lane => [lane, 0]));
+
+function jobLane(job) {
+  return JOB_TYPES[job.type]?.lane || 'orders';
+}
+
+function jobNextDue(lane) {
+  const now = Date.now();
+  return (
+    jobList({ status: 'queued' })
+      .filter(j => j.next_run_at <= now && jobLane(j) === lane)
+      .sort((a, b) => a.next_run_at - b.next_run_at)[0] || null
+  );
+}
+
+// jobRun setzt den Job synchron auf "running" – ein zweiter Worker kann ihn danach nicht mehr ziehen.
+// Beim Herunterfahren wird der laufende Job fertig, aber kein neuer mehr gezogen.
+async function jobLaneWorker(lane, job) {
+  jobLaneBusy[lane] += 1;
+  try {
+    for (let next = job; next; next = shuttingDown ? null : jobNextDue(lane)) await jobRun(next);
+  } catch (e) {
+    console.error(`❌ Job worker error (${lane}):`, e);
+  } finally {
+    jobLaneBusy[lane] -= 1;
+  }
+}
+
+function jobTick() {
+  if (shuttingDown) return;
+  try {
+    for (const [lane, concurrency] of Object.entries(JOB_LANES)) {
+      while (jobLaneBusy[lane] < concurrency) {
+        const job = jobNextDue(lane);
+        if (!job) break;
+        jobLaneWorker(lane, job);
+      }
+    }
+  } catch (e) {
+    console.error('❌ Job worker error:', e);
+  }
+}
+
+function startJobWorker() {
+  // Jobs, die beim letzten Prozessende mitten im Lauf waren, wieder aufnehmen
+  for (const job of jobList({ status: 'running' })) {
+    jobSave({ ...job, status: 'queued', next_run_at: Date.now() });
+  }
+  setInterval(jobTick, JOB_POLL_MS).unref();
+}
+
+// ====================== OUTBOUND WEBHOOKS ======================
+// Endpoints (Collection "webhook_endpoints") abonnieren Events; pro Event und Endpoint entsteht eine
+// Zustellung (Collection "webhook_deliveries") mit allen Versuchen, zugestellt wird per Job (Typ "webhook",
+// Backoff und Dead-Letter wie bei Bestellungen). Signatur: x-webhook-signature, Schema wie eingehend (SECURITY).
+// Empfänger sollten über event.id deduplizieren – bei Timeouts kann ein Event doppelt ankommen.
+const WEBHOOK_EVENTS = ['report.built', 'report.sent', 'order.needs_manual_check', 'order.failed'];
+const ORDER_WEBHOOK_EVENTS = {
+  built: 'report.built',
+  sent: 'report.sent',
+  needs_manual_check: 'order.needs_manual_check',
+  failed: 'order.failed'
+};
+
+function webhookEndpointList() {
+  return store
+    .entries('webhook_endpoints')
+    .map(([, e]) => e)
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+function webhookEndpointPublic({ secret, ...e }) {
+  return e;
+}
+
+function webhookDeliveryGet(id) {
+  return store.get('webhook_deliveries', id) || null;
+}
+
+function webhookDeliveryUpdate(id, patch) {
+  const delivery = { ...webhookDeliveryGet(id), ...patch, updated_at: new Date().toISOString() };
+  store.set('webhook_deliveries', id, delivery);
+  return delivery;
+}
+
+function webhookDeliveryList({ status, event, endpointId, orderId } = {}) {
+  return store
+    .entries('webhook_deliveries')
+    .map(([, d]) => d)
+    .filter(
+      d =>
+        (!status || d.status === status) &&
+        (!event || d.event === event) &&
+        (!endpointId || d.endpoint_id === endpointId) &&
+        (!orderId || d.order_id === orderId)
+    )
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+// Event an alle aktiven Endpoints, die es abonniert haben (oder nur an `endpoints`, z.B. Test-Ping)
+function webhookEmit(event, data, { orderId = null, endpoints } = {}) {
+  const targets = (endpoints || webhookEndpointList()).filter(
+    e => e.active && (endpoints || e.events.includes('*') || e.events.includes(event))
+  );
+  if (!targets.length) return [];
+
+  const payload = { id: `evt_${crypto.randomBytes(8).toString('hex')}`, event, created_at: new Date().toISOString(), data };
+  return targets.map(endpoint => {
+    const delivery = {
+      id: `whd_${crypto.randomBytes(8).toString('hex')}`,
+      event_id: payload.id,
+      event,
+      endpoint_id: endpoint.id,
+      url: endpoint.url,
+      order_id: orderId,
+      payload,
+      status: 'pending',
+      attempts: [],
+      created_at: payload.created_at,
+      delivered_at: null
+    };
+    store.set('webhook_deliveries', delivery.id, delivery);
+    // bewusst kein purchaseFlowId am Job: ein toter Webhook soll die Bestellung nicht auf "failed" setzen
+    const job = jobEnqueue('webhook', { delivery_id: delivery.id, order_id: orderId });
+    return webhookDeliveryUpdate(delivery.id, { job_id: job.id });
+  });
+}
+
+// Aus orderSetStatus: darf den Bestellablauf nie unterbrechen
+function webhookEmitOrder(event, order) {
+  try {
+    webhookEmit(
+      event,
+      {
+        order_id: order.purchaseFlowId,
+        source: order.source || null,
+        status: order.status,
+        vin: order.vin || null,
+        email: order.email || null,
+        lang: order.lang || null,
+        theme: order.theme || null,
+        amount: order.amount || null,
+        report_id: order.report_id || null,
+        verify_url: order.report_id ? verifyUrl(order.report_id) : null,
+        sent_at: order.sent_at || null,
+        hold_reason: order.hold_reason || null,
+        error: order.status === 'failed' ? order.error || null : null
+      },
+      { orderId: order.purchaseFlowId }
+    );
+  } catch (err) {
+    console.error(`⚠️ Webhook-Event ${event} für ${order.purchaseFlowId} nicht eingereiht:`, err.message);
+  }
+}
+
+async function webhookDeliver(job) {
+  const delivery = webhookDeliveryGet(job.delivery_id);
+  const endpoint = store.get('webhook_endpoints', delivery.endpoint_id);
+  if (!endpoint?.active) {
+    webhookDeliveryUpdate(delivery.id, { status: 'cancelled' });
+    return {};
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  let httpStatus = null;
+  let error = null;
+  try {
+    const r = await outboundFetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'FZB-24-Webhooks/1.0',
+        'x-webhook-id': delivery.event_id,
+        'x-webhook-event': delivery.event,
+        // bei jedem Versuch neu signiert, damit der Zeitstempel in der Toleranz des Empfängers liegt
+        'x-webhook-signature': webhookSignatureHeader(endpoint.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(OUTBOUND_WEBHOOK_TIMEOUT_MS)
+    });
+    httpStatus = r.status;
+    if (!r.ok) error = `HTTP ${r.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `timeout after ${OUTBOUND_WEBHOOK_TIMEOUT_MS}ms` : err.message;
+  }
+
+  const attempt = { at: new Date().toISOString(), http_status: httpStatus, error, duration_ms: Date.now() - started };
+  webhookDeliveryUpdate(delivery.id, {
+    status: error ? 'retrying' : 'delivered',
+    attempts: [...delivery.attempts, attempt].slice(-20),
+    delivered_at: error ? null : attempt.at
+  });
+
+  // 410 Gone: Empfänger will nichts mehr von diesem Event wissen
+  if (error) throw httpStatus === 410 ? new PermanentJobError(error) : new Error(error);
+  return {};
+}
+
+function parseWebhookEvents(value) {
+  const events = Array.isArray(value) ? value.map(String) : ['*'];
+  return events.length && events.every(e => e === '*' || WEBHOOK_EVENTS.includes(e)) ? events : null;
+}
+
+// ---------- Ziel-URLs (SSRF) ----------
+// Kunden geben Webhook-URLs vor (Monitore, Admin-Endpoints); der Server darf damit nicht ins interne Netz
+// (Loopback, privat, Link-Local/Cloud-Metadaten). Geprüft wird zweimal: beim Speichern inkl. DNS-Auflösung
+// für eine klare Fehlermeldung, und bei jeder Zustellung über den lookup-Hook des Agents – sonst könnte
+// der Hostname zwischendurch auf eine interne IP umgestellt werden (DNS-Rebinding). Redirects folgen wir nicht.
+
+function outboundLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    // options.all => [{ address, family }], sonst einzelne Adresse
+    const blocked = (Array.isArray(address) ? address : [{ address }]).find(a => isPrivateAddress(a.address));
+    if (blocked && !OUTBOUND_ALLOW_PRIVATE_HOSTS) {
+      return callback(Object.assign(new Error(`private_address: ${hostname} -> ${blocked.address}`), { code: 'EPRIVATEADDR' }));
+    }
+    return callback(null, address, family);
+  });
+}
+
+const OUTBOUND_AGENTS = {
+  'http:': new http.Agent({ lookup: outboundLookup }),
+  'https:': new https.Agent({ lookup: outboundLookup })
+};
+
+// https (http nur mit DEBUG zum lokalen Testen); -> { ok, reason?, url? }. IP-Literale prüft hier, was der
+// lookup-Hook nicht sieht (Node löst sie nicht auf).
+function outboundUrlParse(value) {
+  let u;
+  try {
+    u = new URL(String(value || ''));
+  } catch {
+    return { ok: false, reason: 'invalid_url' };
+  }
+  if (!(u.protocol === 'https:' || (DEBUG && u.protocol === 'http:'))) return { ok: false, reason: 'invalid_protocol' };
+  if (u.username || u.password) return { ok: false, reason: 'credentials_in_url' };
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host) && !OUTBOUND_ALLOW_PRIVATE_HOSTS) return { ok: false, reason: 'private_address' };
+  return { ok: true, url: u, host };
+}
+
+// Beim Anlegen/Ändern: zusätzlich DNS auflösen – alle Adressen müssen öffentlich sein
+async function outboundUrlCheck(value) {
+  const parsed = outboundUrlParse(value);
+  if (!parsed.ok || net.isIP(parsed.host) || OUTBOUND_ALLOW_PRIVATE_HOSTS) return parsed;
+  try {
+    const addresses = await dns.promises.lookup(parsed.host, { all: true });
+    if (addresses.some(a => isPrivateAddress(a.address))) return { ok: false, reason: 'private_address' };
+  } catch {
+    return { ok: false, reason: 'unresolvable_host' };
+  }
+  return parsed;
+}
+
+// fetch für alle kundenseitig vorgegebenen Ziele (Monitor-Webhooks, ausgehende Webhooks)
+async function outboundFetch(url, options) {
+  const parsed = outboundUrlParse(url);
+  if (!parsed.ok) throw new Error(`url_not_allowed: ${parsed.reason}`);
+  const fetch = (await import('node-fetch')).default;
+  return fetch(parsed.url.href, { ...options, redirect: 'manual', agent: u => OUTBOUND_AGENTS[u.protocol] });
+}
+
+// ====================== BATCH ======================
+// Sammelprüfung für Flotten/Händler: Collection "batches" (ein Eintrag pro Auftrag, ohne Zeilen) und
+// "batch_items" ("<batch_id>|<row>", ein Eintrag pro Zeile) – ein Statuswechsel schreibt nur seine Zeile.
+// Zeilen-Status: pending -> running -> done | failed; invalid/duplicate werden gar nicht erst abgefragt.
+// Ergebnis unter REPORTS_DIR/batches/<id>/: summary.csv + <id>.zip (summary.csv und ein PDF pro VIN).
+const BATCH_DIR = path.join(REPORTS_DIR, 'batches');
+const BATCH_SUMMARY_COLUMNS = ['row', 'ref', 'input', 'vin', 'status', 'make', 'model', 'year', 'stolen_status', 'market_value', 'market_currency', 'report_id', 'error'];
+const batchRunning = new Set();
+
+// CSV (Spalte vin/fin + optional ref, sonst erste Spalte) oder JSON (["VIN", …] | { vins: ["VIN" | { vin, ref }] })
+// -> [{ input, ref }]
+function parseBatchInput(body) {
+  if (typeof body === 'string') {
+    const rows = parseCsv(body.replace(/^\uFEFF/, ''));
+    const header = (rows[0] || []).map(h => h.trim().toLowerCase());
+    const vinCol = header.findIndex(h => ['vin', 'fin', 'fahrgestellnummer'].includes(h));
+    const refCol = header.findIndex(h => ['ref', 'referenz', 'reference'].includes(h));
+    const data = vinCol >= 0 ? rows.slice(1) : rows;
+    return data.map(r => ({ input: String(r[Math.max(vinCol, 0)] || '').trim(), ref: refCol >= 0 ? String(r[refCol] || '').trim() || null : null }));
+  }
+  const list = Array.isArray(body) ? body : Array.isArray(body?.vins) ? body.vins : null;
+  if (!list) return null;
+  return list.map(x => (x && typeof x === 'object' ? { input: String(x.vin ?? ''), ref: x.ref ? String(x.ref) : null } : { input: String(x ?? ''), ref: null }));
+}
+
+function batchItemList(batch) {
+  return Array.from({ length: batch.rows }, (_, idx) => store.get('batch_items', `${batch.id}|${idx + 1}`)).filter(Boolean);
+}
+
+// Auftrag samt Zeilen (items); gespeichert wird beides getrennt, siehe batchSave / batchSetItem
+function batchGet(id) {
+  const batch = store.get('batches', id);
+  return batch ? { ...batch, items: batchItemList(batch) } : null;
+}
+
+function batchSave({ items, ...batch }) {
+  store.set('batches', batch.id, { ...batch, updated_at: new Date().toISOString() });
+}
+
+function batchSetItem(id, row, patch) {
+  const key = `${id}|${row}`;
+  store.set('batch_items', key, { ...store.get('batch_items', key), ...patch });
+}
+
+// Eingabezeilen prüfen: ungültige und doppelte VINs kosten keine Abfrage
+function batchItems(entries) {
+  const seen = new Map();
+  return entries.map((e, idx) => {
+    const vin = sanitizeVin(e.input);
+    const item = { row: idx + 1, ref: e.ref, input: e.input, vin, status: 'pending' };
+    if (!isLikelyVin(vin)) return { ...item, vin: null, status: 'invalid', error: validateVin(vin).errors.join(',') || 'invalid_vin' };
+    if (seen.has(vin)) return { ...item, status: 'duplicate', error: `wie Zeile ${seen.get(vin)}` };
+    seen.set(vin, item.row);
+    return item;
+  });
+}
+
+// reservation: Kontingent für alle abzufragenden Zeilen (quotaReserve), wird pro Zeile verbraucht
+function batchCreate(items, { apiKey, lang, theme, reservation }) {
+  const batch = {
+    id: `batch_${crypto.randomBytes(6).toString('hex')}`,
+    status: 'queued',
+    key_id: apiKey?.id || null,
+    client_id: apiKey?.client_id || null,
+    lang,
+    theme,
+    rows: items.length,
+    quota_month: reservation.month,
+    quota_reserved: reservation.units,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    summary_file: null,
+    zip_file: null
+  };
+  for (const item of items) batchSetItem(batch.id, item.row, item);
+  batchSave(batch);
+  return { ...batch, items };
+}
+
+// Noch nicht verbrauchte Einheiten der Batch-Reservierung (synchron lesen und zurückschreiben)
+function batchReservation(id) {
+  const batch = store.get('batches', id);
+  return { key_id: batch.key_id, month: batch.quota_month, units: batch.quota_reserved || 0 };
+}
+
+function batchReleaseQuota(id) {
+  const reservation = batchReservation(id);
+  quotaRelease(reservation);
+  batchSave({ ...store.get('batches', id), quota_reserved: 0 });
+}
+
+function batchCounts(batch) {
+  const counts = { total: batch.items.length, pending: 0, running: 0, done: 0, failed: 0, invalid: 0, duplicate: 0 };
+  for (const i of batch.items) counts[i.status] += 1;
+  return counts;
+}
+
+// Kundensicht: Fortschritt, Zeilen, Download-Links (ohne interne Dateipfade)
+function batchPublic(batch) {
+  const counts = batchCounts(batch);
+  const toRun = counts.total - counts.invalid - counts.duplicate;
+  const base = `${PUBLIC_BASE_URL}/api/batch/${batch.id}`;
+  const { summary_file, zip_file, key_id, quota_month, quota_reserved, ...rest } = batch;
+  return {
+    ...rest,
+    counts,
+    progress: toRun ? Math.round(((counts.done + counts.failed) / toRun) * 1000) / 1000 : 1,
+    summary_url: summary_file ? `${base}/summary.csv` : null,
+    download_url: zip_file ? `${base}/download` : null
+  };
+}
+
+async function batchProcessItem(batch, item) {
+  const apiKey = batch.key_id ? store.get('api_keys', batch.key_id) : null;
+  const { vincario, ...built } = await buildPremiumReport(item.vin, null, { lang: batch.lang, theme: batch.theme });
+  const reservation = batchReservation(batch.id);
+  usageRecord(apiKey, { route: 'batch', vin: item.vin, built: { ...built, vincario } }, reservation);
+  batchSave({ ...store.get('batches', batch.id), quota_reserved: reservation.units });
+  if (!built.ok) return { status: 'failed', error: `${built.error} (${built.status})` };
+
+  const report = built.report;
+  reportSave(report);
+
+  let pdfFile = null;
+  if (PDF_ENABLED) {
+    await renderReportPdf(report, reportPdfPath(report.report_id));
+    pdfFile = path.basename(reportPdfPath(report.report_id));
+  }
+
+  const market = report.checks.market_value;
+  return {
+    status: 'done',
+    error: null,
+    report_id: report.report_id,
+    pdf_file: pdfFile,
+    make: report.vehicle.make ?? null,
+    model: report.vehicle.model ?? null,
+    year: report.vehicle.year ?? null,
+    stolen_status: report.checks.stolen.status,
+    market_value: market.available ? market.price.average ?? market.price.median : null,
+    market_currency: market.available ? market.currency : null
+  };
+}
+
+// summary.csv + ZIP schreiben; PDFs heißen nach VIN (bei ref: "<ref>_<VIN>.pdf")
+async function batchFinalize(id) {
+  const batch = batchGet(id);
+  const dir = path.join(BATCH_DIR, id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const summaryFile = path.join(dir, 'summary.csv');
+  fs.writeFileSync(summaryFile, '\uFEFF' + toCsv(batch.items, BATCH_SUMMARY_COLUMNS), 'utf8');
+
+  const zipFile = path.join(dir, `${id}.zip`);
+  await new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(zipFile);
+    const zip = archiver('zip', { zlib: { level: 6 } });
+    out.on('close', resolve);
+    zip.on('error', reject);
+    zip.pipe(out);
+    zip.file(summaryFile, { name: 'summary.csv' });
+    for (const item of batch.items) {
+      const pdf = item.pdf_file ? path.join(REPORTS_DIR, item.pdf_file) : null;
+      if (!pdf || !fs.existsSync(pdf)) continue;
+      const name = `${item.ref ? `${item.ref.replace(/[^a-zA-Z0-9_-]/g, '_')}_` : ''}${item.vin}.pdf`;
+      zip.file(pdf, { name: `pdf/${name}` });
+    }
+    zip.finalize();
+  });
+
+  const counts = batchCounts(batch);
+  batchSave({ ...batch, status: 'done', finished_at: new Date().toISOString(), summary_file: summaryFile, zip_file: zipFile });
+  console.log(`📦 Batch ${id} fertig: ${counts.done} ok, ${counts.failed} fehlgeschlagen, ${counts.invalid} ungültig`);
+}
+
+async function batchRun(id) {
+  if (batchRunning.has(id)) return;
+  batchRunning.add(id);
+  let paused = false;
+  try {
+    const batch = store.get('batches', id);
+    batchSave({ ...batch, status: 'running', started_at: batch.started_at || new Date().toISOString() });
+
+    // BATCH_CONCURRENCY Worker ziehen sich die nächste offene Zeile (synchron => keine Doppelvergabe)
+    const worker = async () => {
+      for (;;) {
+        if (shuttingDown) return;
+        const next = batchItemList(store.get('batches', id)).find(i => i.status === 'pending');
+        if (!next) return;
+        batchSetItem(id, next.row, { status: 'running' });
+        let patch;
+        try {
+          patch = await batchProcessItem(store.get('batches', id), next);
+        } catch (err) {
+          patch = { status: 'failed', error: err?.message || String(err) };
+        }
+        batchSetItem(id, next.row, patch);
+      }
+    };
+    await Promise.all(Array.from({ length: BATCH_CONCURRENCY }, worker));
+    // Beim Herunterfahren bleibt der Auftrag "running" samt Reservierung – batchResume setzt nach dem Neustart fort
+    paused = shuttingDown;
+    if (paused) return;
+    await batchFinalize(id);
+  } catch (err) {
+    console.error(`❌ Batch ${id} fehlgeschlagen:`, err);
+    batchSave({ ...store.get('batches', id), status: 'failed', error: err?.message || String(err), finished_at: new Date().toISOString() });
+  } finally {
+    // Zeilen ohne bezahlte Abfrage (Fehler, Abbruch) geben ihre Einheit zurück
+    if (!paused) batchReleaseQuota(id);
+    batchRunning.delete(id);
+  }
+}
+
+// Beim Start: Aufträge im alten Format (Zeilen im Auftrag) aufteilen, abgebrochene fortsetzen (laufende Zeilen noch einmal)
+function batchResume() {
+  for (const [, batch] of store.entries('batches')) {
+    if (Array.isArray(batch.items)) {
+      for (const item of batch.items) batchSetItem(batch.id, item.row, item);
+      batchSave({ ...batch, rows: batch.items.length });
+    }
+    if (!['queued', 'running'].includes(batch.status)) continue;
+    for (const item of batchItemList(store.get('batches', batch.id))) {
+      if (item.status === 'running') batchSetItem(batch.id, item.row, { status: 'pending' });
+    }
+    batchRun(batch.id);
+  }
+}
+
+// Ergebnisdateien verfallen wie Download-Links (REPORT_LINK_TTL_HOURS)
+function batchCleanup() {
+  const maxAgeMs = REPORT_LINK_TTL_HOURS * 60 * 60 * 1000;
+  for (const [, batch] of store.entries('batches')) {
+    if (!batch.finished_at || batch.files_expired_at) continue;
+    if (Date.now() - Date.parse(batch.finished_at) < maxAgeMs) continue;
+    fs.rmSync(path.join(BATCH_DIR, batch.id), { recursive: true, force: true });
+    batchSave({ ...batch, files_expired_at: new Date().toISOString() });
+  }
+}
+
+// ====================== STOLEN MONITOR ======================
+// Abos (Collection "monitors"): VIN + E-Mail und/oder Webhook-URL + Laufzeit. Der Scheduler fragt fällige
+// Abos mit frischem stolen-check ab (ohne Cache) und benachrichtigt nur, wenn sich der Status ändert.
+// "unknown" (keine Daten / Fehler) ist keine Änderung – der letzte bekannte Status bleibt stehen.
+// Jede Prüfung reserviert eine Kontingent-Einheit des Keys; ist der Key gesperrt oder das Kontingent
+// aufgebraucht, wird das Abo beendet (status "stopped", stop_reason api_key_revoked | quota_exceeded).
+const MONITOR_HISTORY_MAX = 100;
+let monitorTickRunning = false;
+
+function monitorGet(id) {
+  return store.get('monitors', id) || null;
+}
+
+function monitorSave(monitor) {
+  store.set('monitors', monitor.id, { ...monitor, updated_at: new Date().toISOString() });
+}
+
+function monitorList({ clientId, status, vin } = {}) {
+  return store
+    .entries('monitors')
+    .map(([, m]) => m)
+    .filter(m => (!clientId || m.client_id === clientId) && (!status || m.status === status) && (!vin || m.vin === vin))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+function monitorPublic({ webhook_secret, key_id, ...m }) {
+  return { ...m, next_check_at: m.next_check_at ? new Date(m.next_check_at).toISOString() : null };
+}
+
+function monitorCreate({ vin, email, webhookUrl, days, intervalHours, lang, theme, apiKey }) {
+  const now = Date.now();
+  const monitor = {
+    id: `mon_${crypto.randomBytes(6).toString('hex')}`,
+    vin,
+    email: email || null,
+    webhook_url: webhookUrl || null,
+    webhook_secret: webhookUrl ? crypto.randomBytes(24).toString('hex') : null,
+    lang,
+    theme,
+    key_id: apiKey?.id || null,
+    client_id: apiKey?.client_id || null,
+    interval_hours: intervalHours,
+    status: 'active',
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + days * 24 * 60 * 60 * 1000).toISOString(),
+    next_check_at: now,
+    checks: 0,
+    last_checked_at: null,
+    last_error: null,
+    current_status: null,
+    history: [],
+    notifications: []
+  };
+  monitorSave(monitor);
+  return monitor;
+}
+
+async function monitorNotifyWebhook(monitor, payload) {
+  const body = JSON.stringify(payload);
+  const r = await outboundFetch(monitor.webhook_url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-webhook-signature': webhookSignatureHeader(monitor.webhook_secret, body) },
+    body,
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+}
+
+// Beide Kanäle unabhängig; Fehler landen in monitor.notifications, nicht als Exception
+async function monitorNotify(monitor, previous, summary, checkedAt) {
+  const th = getTheme(monitor.theme);
+  const lang = monitor.lang;
+  const results = [];
+
+  if (monitor.email) {
+    try {
+      const mail = await sendTemplateMail('stolen_status_changed', {
+        to: monitor.email,
+        lang,
+        theme: monitor.theme,
+        vars: {
+          vin: monitor.vin,
+          monitor_id: monitor.id,
+          headline: themeT(th, lang, `mail.stolen_status_changed.headline_${summary.status === 'stolen' ? 'stolen' : 'cleared'}`),
+          previous_status: t(lang, `stolen.${previous}`),
+          status: t(lang, `stolen.${summary.status}`),
+          sources: summary.details.map(d => `${d.source}: ${d.status}`).join(', ') || '—',
+          checked_at: formatDateTime(checkedAt, lang),
+          expires_at: formatDate(monitor.expires_at, lang)
+        }
+      });
+      results.push({ channel: 'email', ok: true, mail_id: mail.mail_id, error: null });
+    } catch (err) {
+      results.push({ channel: 'email', ok: false, mail_id: err.mail_id || null, error: err.message });
+    }
+  }
+
+  if (monitor.webhook_url) {
+    try {
+      await monitorNotifyWebhook(monitor, {
+        event: 'monitor.status_changed',
+        monitor_id: monitor.id,
+        vin: monitor.vin,
+        previous_status: previous,
+        status: summary.status,
+        details: summary.details,
+        checked_at: checkedAt,
+        expires_at: monitor.expires_at
+      });
+      results.push({ channel: 'webhook', ok: true, error: null });
+    } catch (err) {
+      results.push({ channel: 'webhook', ok: false, error: err.message });
+    }
+  }
+
+  for (const r of results) if (!r.ok) console.error(`⚠️ Monitor ${monitor.id}: ${r.channel}-Benachrichtigung fehlgeschlagen: ${r.error}`);
+  return results.map(r => ({ ...r, at: new Date().toISOString(), from: previous, to: summary.status }));
+}
+
+function monitorStop(monitor, reason) {
+  monitorSave({ ...monitor, status: 'stopped', stop_reason: reason, stopped_at: new Date().toISOString(), next_check_at: null });
+  console.warn(`⏹️ Monitor ${monitor.id} (${monitor.vin}) beendet: ${reason}`);
+  return monitorGet(monitor.id);
+}
+
+function monitorActiveCount(keyId) {
+  return monitorList({ status: 'active' }).filter(m => m.key_id === keyId).length;
+}
+
+async function monitorCheck(id) {
+  const monitor = monitorGet(id);
+  const apiKey = monitor.key_id ? store.get('api_keys', monitor.key_id) : null;
+  if (monitor.key_id && (!apiKey || apiKey.revoked_at)) return monitorStop(monitor, 'api_key_revoked');
+  const reservation = quotaReserve(apiKey);
+  if (!reservation) return monitorStop(monitor, 'quota_exceeded');
+
+  let r;
+  try {
+    r = await vincarioCheck(monitor.vin, 'stolen-check', { fresh: true });
+    usageRecord(apiKey, { route: 'monitor', vin: monitor.vin, built: { ok: r.ok, vincario: vincarioUsage([['stolen-check', r]]) } }, reservation);
+  } finally {
+    quotaRelease(reservation);
+  }
+
+  const checkedAt = new Date().toISOString();
+  const summary = r.ok ? summarizeStolen(r.json) : null;
+  const base = {
+    ...monitorGet(id),
+    checks: monitor.checks + 1,
+    last_checked_at: checkedAt,
+    next_check_at: Date.now() + monitor.interval_hours * 60 * 60 * 1000
+  };
+
+  if (!summary?.available) {
+    monitorSave({ ...base, last_error: r.error?.message || summary?.status || 'no_data' });
+    return monitorGet(id);
+  }
+
+  const previous = monitor.current_status;
+  const changed = previous !== summary.status;
+  const history = changed
+    ? [...monitor.history, { status: summary.status, at: checkedAt, details: summary.details }].slice(-MONITOR_HISTORY_MAX)
+    : monitor.history;
+
+  // Erste Prüfung ist nur die Ausgangslage
+  const notifications = changed && previous ? await monitorNotify(base, previous, summary, checkedAt) : [];
+  if (changed && previous) console.log(`🚨 Monitor ${id} (${monitor.vin}): ${previous} -> ${summary.status}`);
+
+  monitorSave({
+    ...base,
+    last_error: null,
+    current_status: summary.status,
+    history,
+    notifications: [...monitor.notifications, ...notifications].slice(-MONITOR_HISTORY_MAX)
+  });
+  return monitorGet(id);
+}
+
+async function monitorTick() {
+  if (monitorTickRunning) return;
+  monitorTickRunning = true;
+  try {
+    const now = Date.now();
+    for (const m of monitorList({ status: 'active' })) {
+      if (Date.parse(m.expires_at) <= now) {
+        monitorSave({ ...m, status: 'expired', next_check_at: null });
+        continue;
+      }
+      if (m.next_check_at > now) continue;
+      try {
+        await monitorCheck(m.id);
+      } catch (err) {
+        console.error(`❌ Monitor ${m.id} fehlgeschlagen:`, err);
+      }
+    }
+  } finally {
+    monitorTickRunning = false;
+  }
+}
+
+function startMonitorScheduler() {
+  setInterval(monitorTick, MONITOR_TICK_MS).unref();
+}
+
+// ====================== ROUTES ======================
+app.get('/', (_req, res) => res.send('✅ FZB-24 VIN Report API läuft'));
+
+app.get('/api/version', (_req, res) => {
+  const build =
+    process.env.RENDER_GIT_COMMIT ||
+    process.env.GIT_COMMIT ||
+    crypto.createHash('sha1').update(String(Date.now())).digest('hex');
+  res.json({ ok: true, build });
+});
+
+// Debug-Echo
+app.post('/api/_debug/echo', (req, res) => {
+  const auth = checkWebhookAuth(req);
+  if (!auth.ok) {
+    webhookAuditReject('debug', req, auth.reason);
+    return res.status(401).json({ ok: false, error: 'unauthorized' });
+  }
+  return res.json({ ok: true, headers: req.headers, body: req.body });
+});
+
+// VIN Link endpoint (VIN “merken” nach StartCheckout)
+app.post('/api/link-vin', (req, res) => {
+  // Hier absichtlich KEIN WEBHOOK_SECRET nötig, weil das aus deiner Website kommen kann.
+  // Wir validieren hart, damit nicht alles zugespammt wird.
+  try {
+    vinStoreCleanup();
+
+    const purchaseFlowId = String(req.body?.purchaseFlowId || '').trim();
+    const vin = sanitizeVin(req.body?.vin || '');
+    const email = req.body?.email ? String(req.body.email).trim() : null;
+
+    if (!purchaseFlowId || purchaseFlowId.length < 8) {
+      return res.status(400).json({ ok: false, error: 'missing_purchaseFlowId' });
+    }
+    const validation = validateVin(vin);
+    if (!validation.valid) {
+      return res.status(400).json({ ok: false, error: 'invalid_vin', details: validation.errors });
+    }
+
+    const limited = rateLimitCheck('link_vin', { ip: req.ip, vin });
+    if (limited) {
+      res.set('Retry-After', String(limited.retry_after_sec));
+      return res.status(429).json({ ok: false, error: 'rate_limited', ...limited });
+    }
+
+    // Nur merken (TTL, siehe VIN STORE) – die Bestellung legt erst der Shop-Webhook an
+    const lang = normalizeLang(req.body?.lang || req.query?.lang);
+    vinStoreSave(purchaseFlowId, { vin, email, lang, ts: Date.now() });
+
+    return res.json({ ok: true, purchaseFlowId, vin, email: email || null });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: 'server_error', details: e.message });
+  }
+});
+
+// Bot-Challenge für die Vorschau (vin-check.html holt sich hier Typ, Site-Key bzw. PoW-Aufgabe)
+app.get('/api/challenge', (_req, res) => {
+  res.set('Cache-Control', 'no-store');
+  if (BOT_CHALLENGE === 'off') return res.json({ ok: true, type: 'off' });
+  if (BOT_CHALLENGE === 'pow') return res.json({ ok: true, type: 'pow', ...powIssue() });
+  return res.json({ ok: true, type: BOT_CHALLENGE, site_key: CAPTCHA_SITE_KEY });
+});
+
+// Offline VIN-Prüfung (kostet keine Vincario-Abfrage)
+app.get('/api/vin/:vin/validate', (req, res) => {
+  return res.json({ ok: true, ...validateVin(req.params.vin) });
+});
+
+// Preview endpoint
+app.get('/api/report/:vin', async (req, res) => {
+  try {
+    // Offline prüfen, bevor die bezahlte Decode-Abfrage rausgeht
+    const validation = validateVin(req.params.vin);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: 'invalid_vin', details: validation.errors, validation });
+    }
+
+    const lang = requestLang(req);
+
+    const rateLimited = limited => {
+      res.set('Retry-After', String(limited.retry_after_sec));
+      return res.status(429).json({ success: false, error: 'rate_limited', ...limited, message: t(lang, 'preview.rate_limited') });
+    };
+
+    const ipLimited = rateLimitCheck('preview', { ip: req.ip });
+    if (ipLimited) return rateLimited(ipLimited);
+
+    const challenge = await botChallengeVerify(req);
+    if (!challenge.ok) {
+      return res.status(403).json({ success: false, error: 'bot_challenge_failed', reason: challenge.reason, message: t(lang, 'preview.challenge_failed') });
+    }
+
+    // VIN-Bucket erst nach bestandener Challenge – sonst könnten Bots ohne Token die VIN echter Nutzer sperren
+    const vinLimited = rateLimitCheck('preview', { vin: validation.vin });
+    if (vinLimited) return rateLimited(vinLimited);
+
+    // Budget aufgebraucht: gecachte VINs kosten nichts, alles andere erst wieder ab Mitternacht (UTC)
+    if (vincarioBudgetExceeded() && !vincarioIsCached(validation.vin, 'decode')) {
+      const retryAfter = secondsUntilUtcMidnight();
+      res.set('Retry-After', String(retryAfter));
+      return res.status(503).json({
+        success: false,
+        error: 'temporarily_unavailable',
+        reason: 'daily_budget_exceeded',
+        retry_after_sec: retryAfter,
+        message: t(lang, 'preview.unavailable')
+      });
+    }
+
+    const built = await buildPreviewReport(validation.vin);
+    if (!built.ok) return res.status(502).json({ success: false, ...built });
+
+    return res.status(200).json({
+      success: true,
+      lang,
+      preview: built.preview,
+      validation,
+      preview_note: t(lang, 'preview.note'),
+      locked_sections: ['stolen', 'market_value', 'technical', 'notes'].map(k => ({
+        title: t(lang, `preview.locked.${k}.title`),
+        hint: t(lang, `preview.locked.${k}.hint`)
+      }))
+    });
+  } catch (err) {
+    console.error('❌ Fehler /api/report:', err);
+    return res.status(500).json({ success: false, error: 'server_error', details: err.message });
+  }
+});
+
+// Premium JSON endpoint (B2B, API-Key)
+app.get('/api/premium-report/:vin', requireApiKey, async (req, res) => {
+  let reservation = null;
+  try {
+    const badTheme = unknownRequestedTheme(req);
+    if (badTheme) return res.status(400).json({ success: false, error: 'unknown_theme', theme: badTheme });
+
+    const vin = sanitizeVin(req.params.vin);
+    if (!isLikelyVin(vin)) return res.status(400).json({ success: false, error: 'invalid_vin' });
+
+    reservation = quotaReserve(req.apiKey);
+    if (!reservation) return res.status(429).json({ success: false, error: 'quota_exceeded', quota: apiKeyQuota(req.apiKey) });
+
+    const { vincario, ...built } = await buildPremiumReport(vin, null, { lang: requestLang(req), theme: requestTheme(req) });
+    usageRecord(req.apiKey, { route: 'premium-report', vin, built: { ...built, vincario } }, reservation);
+    if (!built.ok) return res.status(502).json({ success: false, ...built });
+    return res.status(200).json({ success: true, report: built.report });
+  } catch (err) {
+    console.error('❌ Fehler /api/premium-report:', err);
+    return res.status(500).json({ success: false, error: 'server_error', details: err.message });
+  } finally {
+    quotaRelease(reservation);
+  }
+});
+
+// Vergleich (B2B, API-Key): ?vins=A,B,C[&format=json|pdf|html]. Jede VIN zählt wie ein Premium-Report.
+app.get('/api/compare', requireApiKey, async (req, res) => {
+  let pdfPath = null;
+  let reservation = null;
+  try {
+    const badTheme = unknownRequestedTheme(req);
+    if (badTheme) return res.status(400).json({ success: false, error: 'unknown_theme', theme: badTheme });
+
+    const format = String(req.query?.format || 'json').toLowerCase();
+    if (!['json', 'pdf', 'html'].includes(format)) return res.status(400).json({ success: false, error: 'invalid_format' });
+    if (format === 'pdf' && !PDF_ENABLED) return res.status(503).json({ success: false, error: 'pdf_disabled' });
+
+    const vins = [...new Set(String(req.query?.vins || '').split(',').map(sanitizeVin).filter(Boolean))];
+    const invalid = vins.filter(v => !isLikelyVin(v));
+    if (invalid.length) return res.status(400).json({ success: false, error: 'invalid_vin', vins: invalid });
+    if (vins.length < 2) return res.status(400).json({ success: false, error: 'too_few_vins', min: 2 });
+    if (vins.length > COMPARE_MAX_VINS) return res.status(400).json({ success: false, error: 'too_many_vins', max: COMPARE_MAX_VINS });
+
+    reservation = quotaReserve(req.apiKey, vins.length);
+    if (!reservation) {
+      return res.status(429).json({ success: false, error: 'quota_exceeded', needed: vins.length, quota: apiKeyQuota(req.apiKey) });
+    }
+
+    const lang = requestLang(req);
+    const theme = requestTheme(req);
+    const entries = await Promise.all(
+      vins.map(async vin => {
+        const { vincario, ...built } = await buildPremiumReport(vin, null, { lang, theme });
+        usageRecord(req.apiKey, { route: 'compare', vin, built: { ...built, vincario } }, reservation);
+        // gespeichert wie jeder Premium-Report, damit report_id im Vergleich über /verify nachprüfbar ist
+        if (built.ok) reportSave(built.report);
+        return { vin, report: built.ok ? built.report : null, error: built.ok ? null : built.error };
+      })
+    );
+    if (entries.filter(e => e.report).length < 2) {
+      return res.status(502).json({ success: false, error: 'compare_failed', vehicles: entries.map(({ vin, error }) => ({ vin, error })) });
+    }
+
+    const comparison = buildComparison(entries, { lang, theme });
+
+    if (format === 'html') {
+      res.set('Cache-Control', 'no-store');
+      return res.type('html').send(renderCompareHtml(comparison));
+    }
+
+    if (format === 'pdf') {
+      reportsCleanup();
+      pdfPath = path.join(REPORTS_DIR, `compare_${crypto.randomBytes(8).toString('hex')}.pdf`);
+      await renderComparePdf(comparison, pdfPath);
+      const file = pdfPath;
+      pdfPath = null;
+      const name = `${themeT(getTheme(theme), lang, 'compare.filename')}_${vins.join('_')}.pdf`;
+      return res.download(file, name, () => fs.rmSync(file, { force: true }));
+    }
+
+    return res.status(200).json({ success: true, comparison });
+  } catch (err) {
+    if (pdfPath) fs.rmSync(pdfPath, { force: true });
+    console.error('❌ Fehler /api/compare:', err);
+    return res.status(500).json({ success: false, error: 'server_error', details: err.message });
+  } finally {
+    quotaRelease(reservation);
+  }
+});
+
+// Template-Entwicklung: Report als HTML im Browser ansehen (?theme=, ?lang=, ?fresh=1).
+// Nimmt den zuletzt gespeicherten Report der VIN, damit nicht jeder Reload Vincario kostet.
+app.get('/api/report-preview/:vin.html', requireAdmin, async (req, res) => {
+  try {
+    const vin = sanitizeVin(req.params.vin);
+    if (!isLikelyVin(vin)) return res.status(400).json({ ok: false, error: 'invalid_vin' });
+    if (unknownRequestedTheme(req)) return res.status(400).json({ ok: false, error: 'unknown_theme', themes: Object.keys(THEMES) });
+
+    let report = req.query?.fresh === '1' ? null : reportLatestForVin(vin);
+    if (!report) {
+      const built = await buildPremiumReport(vin, null, { lang: requestLang(req), theme: requestTheme(req) });
+      if (!built.ok) return res.status(502).json({ ok: false, ...built });
+      report = built.report;
+      reportSave(report);
+    }
+
+    const lang = resolveLang(req.query?.lang, report.lang);
+    const theme = resolveTheme(req.query?.theme, report.theme);
+    const html = renderReportHtml({ ...report, lang, theme, disclaimer: themeT(getTheme(theme), lang, 'report.disclaimer') });
+    res.set('Cache-Control', 'no-store');
+    return res.type('html').send(html);
+  } catch (err) {
+    console.error('❌ Fehler /api/report-preview:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', details: err.message });
+  }
+});
+
+// Report + PDF bauen, signierten Download-Link zurückgeben (B2B bzw. Test-Kauf von vin-check.html, API-Key)
+app.post('/api/order', requireApiKeyOrTestOrder, async (req, res) => {
+  let orderId = null;
+  let reservation = null;
+
+  try {
+    const vin = sanitizeVin(req.body?.vin || '');
+    const email = req.body?.email ? String(req.body.email).trim() : null;
+    const lang = requestLang(req);
+    const theme = requestTheme(req);
+
+    if (!isLikelyVin(vin)) {
+      return res.status(400).json({ success: false, error: 'invalid_vin' });
+    }
+    if (unknownRequestedTheme(req)) {
+      return res.status(400).json({ success: false, error: 'unknown_theme', theme: unknownRequestedTheme(req) });
+    }
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({ success: false, error: 'invalid_email' });
+    }
+    if (!PDF_ENABLED) {
+      return res.status(503).json({ success: false, error: 'pdf_disabled' });
+    }
+
+    reservation = quotaReserve(req.apiKey);
+    if (!reservation) return res.status(429).json({ success: false, error: 'quota_exceeded', quota: apiKeyQuota(req.apiKey) });
+
+    reportsCleanup();
+
+    orderId = `order_${crypto.randomBytes(6).toString('hex')}`;
+    orderUpsert(orderId, { source: req.testOrder ? 'test_order' : 'order', vin, email, lang, theme, api_key_id: req.apiKey?.id || null, client_id: req.apiKey?.client_id || null });
+
+    const { vincario, ...built } = await buildPremiumReport(vin, email, { lang, theme });
+    // Zurückgehaltener Report (REPORT_INCOMPLETE_POLICY=hold) wird nicht ausgeliefert => nicht abrechnen
+    const holdReason = built.ok ? reportHoldReason(built.report) : null;
+    usageRecord(req.apiKey, { route: 'order', vin, built: { ...built, vincario }, billable: !holdReason }, reservation);
+    if (!built.ok) {
+      orderSetStatus(orderId, 'failed', { error: `${built.error} (${built.status})` });
+      return res.status(502).json({ success: false, ...built });
+    }
+
+    const report = built.report;
+    reportSave(report);
+    orderSetStatus(orderId, 'built', { report_id: report.report_id });
+
+    if (holdReason) {
+      await holdOrderForReview({ purchaseFlowId: orderId, email, vin, lang, theme }, report, holdReason);
+      return res.status(502).json({ success: false, error: 'report_incomplete', orderId, missing_checks: report.missing_checks });
+    }
+
+    const rendered = await renderReportPdf(report, reportPdfPath(report.report_id));
+    orderSetStatus(orderId, 'pdf_rendered', {
+      pdf_file: path.basename(reportPdfPath(report.report_id)),
+      pdf_renderer: rendered.renderer,
+      pdf_signed: rendered.signed
+    });
+
+    const link = makeDownloadUrl(report.report_id);
+    return res.status(200).json({
+      success: true,
+      orderId,
+      vin,
+      email,
+      reportId: report.report_id,
+      download_url: link.url,
+      expires_at: link.expires_at
+    });
+  } catch (err) {
+    console.error('❌ Fehler /api/order:', err);
+    if (orderId) {
+      try {
+        orderSetStatus(orderId, 'failed', { error: err?.message || String(err) });
+      } catch {}
+    }
+    return res.status(500).json({ success: false, error: 'server_error', details: err.message });
+  } finally {
+    quotaRelease(reservation);
+  }
+});
+
+// Sammelprüfung (B2B, API-Key): CSV (text/csv) oder JSON; ?lang= / ?theme= gelten für alle Reports
+app.post('/api/batch', requireApiKey, express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '1mb' }), (req, res) => {
+  const entries = parseBatchInput(req.body);
+  if (!entries || !entries.length) return res.status(400).json({ success: false, error: 'no_vins' });
+  if (entries.length > BATCH_MAX_VINS) {
+    return res.status(413).json({ success: false, error: 'too_many_vins', max: BATCH_MAX_VINS, count: entries.length });
+  }
+  if (unknownRequestedTheme(req)) return res.status(400).json({ success: false, error: 'unknown_theme', theme: unknownRequestedTheme(req) });
+
+  const items = batchItems(entries);
+  const toRun = items.filter(i => i.status === 'pending').length;
+
+  // Kontingent für den ganzen Auftrag vorab reservieren, statt mittendrin abzubrechen
+  const reservation = quotaReserve(req.apiKey, toRun);
+  if (!reservation) {
+    return res.status(429).json({ success: false, error: 'quota_exceeded', needed: toRun, quota: apiKeyQuota(req.apiKey) });
+  }
+
+  batchCleanup();
+  const batch = batchCreate(items, { apiKey: req.apiKey, lang: requestLang(req), theme: requestTheme(req), reservation });
+  if (toRun > 0) batchRun(batch.id);
+  else batchFinalize(batch.id).catch(err => console.error(`❌ Batch ${batch.id}:`, err));
+
+  return res.status(202).json({ success: true, batch: batchPublic(batchGet(batch.id)) });
+});
+
+// Nur der eigene Kunde (oder Admin-Token) sieht einen Auftrag
+function batchForRequest(req, res) {
+  const batch = batchGet(String(req.params.id || ''));
+  if (!batch || (req.apiKey && batch.client_id !== req.apiKey.client_id)) {
+    res.status(404).json({ success: false, error: 'not_found' });
+    return null;
+  }
+  return batch;
+}
+
+app.get('/api/batch/:id', requireApiKey, (req, res) => {
+  const batch = batchForRequest(req, res);
+  if (!batch) return undefined;
+  return res.json({ success: true, batch: batchPublic(batch) });
+});
+
+app.get('/api/batch/:id/summary.csv', requireApiKey, (req, res) => {
+  const batch = batchForRequest(req, res);
+  if (!batch) return undefined;
+  if (!batch.summary_file) return res.status(409).json({ success: false, error: 'batch_not_finished', status: batch.status });
+  if (!fs.existsSync(batch.summary_file)) return res.status(410).json({ success: false, error: 'expired' });
+  return res.download(batch.summary_file, `${batch.id}_summary.csv`);
+});
+
+app.get('/api/batch/:id/download', requireApiKey, (req, res) => {
+  const batch = batchForRequest(req, res);
+  if (!batch) return undefined;
+  if (!batch.zip_file) return res.status(409).json({ success: false, error: 'batch_not_finished', status: batch.status });
+  if (!fs.existsSync(batch.zip_file)) return res.status(410).json({ success: false, error: 'expired' });
+  return res.download(batch.zip_file, `${batch.id}.zip`);
+});
+
+// Diebstahl-Monitor (B2B, API-Key). Antwort enthält webhook_secret nur bei Anlage.
+app.post('/api/monitors', requireApiKey, async (req, res) => {
+  try {
+    const vin = sanitizeVin(req.body?.vin || '');
+    if (!isLikelyVin(vin)) return res.status(400).json({ success: false, error: 'invalid_vin' });
+
+    const email = req.body?.email ? String(req.body.email).trim() : null;
+    if (email && !email.includes('@')) return res.status(400).json({ success: false, error: 'invalid_email' });
+
+    const webhookUrl = req.body?.webhook_url ? String(req.body.webhook_url).trim() : null;
+    if (webhookUrl) {
+      const check = await outboundUrlCheck(webhookUrl);
+      if (!check.ok) return res.status(400).json({ success: false, error: 'invalid_webhook_url', reason: check.reason });
+    }
+    if (!email && !webhookUrl) return res.status(400).json({ success: false, error: 'missing_recipient' });
+
+    const days = Number(req.body?.days ?? MONITOR_DEFAULT_DAYS);
+    if (!Number.isInteger(days) || days < 1 || days > MONITOR_MAX_DAYS) {
+      return res.status(400).json({ success: false, error: 'invalid_days', max: MONITOR_MAX_DAYS });
+    }
+    const intervalHours = Number(req.body?.interval_hours ?? MONITOR_INTERVAL_HOURS);
+    if (!Number.isFinite(intervalHours) || intervalHours < MONITOR_MIN_INTERVAL_HOURS) {
+      return res.status(400).json({ success: false, error: 'invalid_interval_hours', min: MONITOR_MIN_INTERVAL_HOURS });
+    }
+    if (unknownRequestedTheme(req)) return res.status(400).json({ success: false, error: 'unknown_theme', theme: unknownRequestedTheme(req) });
+
+    if (req.apiKey) {
+      if (MONITOR_MAX_PER_KEY > 0 && monitorActiveCount(req.apiKey.id) >= MONITOR_MAX_PER_KEY) {
+        return res.status(429).json({ success: false, error: 'monitor_limit_reached', max: MONITOR_MAX_PER_KEY });
+      }
+      const quota = apiKeyQuota(req.apiKey);
+      if (quota.limit !== null && quota.remaining < 1) return res.status(429).json({ success: false, error: 'quota_exceeded', quota });
+    }
+
+    const monitor = monitorCreate({ vin, email, webhookUrl, days, intervalHours, lang: requestLang(req), theme: requestTheme(req), apiKey: req.apiKey });
+    // Ausgangslage sofort festhalten (keine Benachrichtigung)
+    const checked = await monitorCheck(monitor.id);
+
+    return res.status(201).json({
+      success: true,
+      monitor: monitorPublic(checked),
+      ...(monitor.webhook_secret ? { webhook_secret: monitor.webhook_secret } : {})
+    });
+  } catch (err) {
+    console.error('❌ Fehler /api/monitors:', err);
+    return res.status(500).json({ success: false, error: 'server_error', details: err.message });
+  }
+});
+
+// Nur der eigene Kunde (oder Admin-Token) sieht ein Abo
+function monitorForRequest(req, res) {
+  const monitor = monitorGet(String(req.params.id || ''));
+  if (!monitor || (req.apiKey && monitor.client_id !== req.apiKey.client_id)) {
+    res.status(404).json({ success: false, error: 'not_found' });
+    return null;
+  }
+  return monitor;
+}
+
+app.get('/api/monitors', requireApiKey, (req, res) => {
+  const clientId = req.apiKey ? req.apiKey.client_id : req.query?.client_id ? String(req.query.client_id) : undefined;
+  const status = req.query?.status ? String(req.query.status) : undefined;
+  const vin = req.query?.vin ? sanitizeVin(req.query.vin) : undefined;
+  return res.json({ success: true, monitors: monitorList({ clientId, status, vin }).map(monitorPublic) });
+});
+
+app.get('/api/monitors/:id', requireApiKey, (req, res) => {
+  const monitor = monitorForRequest(req, res);
+  if (!monitor) return undefined;
+  return res.json({ success: true, monitor: monitorPublic(monitor) });
+});
+
+app.post('/api/monitors/:id/cancel', requireApiKey, (req, res) => {
+  const monitor = monitorForRequest(req, res);
+  if (!monitor) return undefined;
+  if (monitor.status !== 'active') return res.status(409).json({ success: false, error: `monitor_${monitor.status}` });
+
+  monitorSave({ ...monitor, status: 'cancelled', cancelled_at: new Date().toISOString(), next_check_at: null });
+  return res.json({ success: true, monitor: monitorPublic(monitorGet(monitor.id)) });
+});
+
+// PDF Download (nur mit gültiger Signatur)
+app.get('/api/reports/:reportId/download', (req, res) => {
+  const reportId = String(req.params.reportId || '').toUpperCase();
+  if (!isValidReportId(reportId, { legacy: true })) {
+    return res.status(404).json({ success: false, error: 'not_found' });
+  }
+  if (!verifyReportLink(reportId, req.query?.expires, req.query?.sig)) {
+    return res.status(403).json({ success: false, error: 'invalid_or_expired_link' });
+  }
+
+  const filePath = reportPdfPath(reportId);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ success: false, error: 'not_found' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.download(filePath, `FZB24_Report_${reportId}.pdf`);
+});
+
+// Öffentliche Echtheitsprüfung (Ziel des QR-Codes im PDF). Keine E-Mail, keine Rohdaten.
+// ?hash= vergleicht zusätzlich die im PDF abgedruckte Prüfsumme.
+function verificationSummary(report) {
+  const market = report.checks?.market_value;
+  return {
+    report_id: report.report_id,
+    vin: report.vin,
+    generated_at: report.generated_at,
+    content_hash: report.content_hash || null,
+    // Gespeicherter Report seit der Erstellung unverändert?
+    intact: report.content_hash ? reportContentHash(report) === report.content_hash : null,
+    vehicle: { make: report.vehicle?.make || null, model: report.vehicle?.model || null, year: report.vehicle?.year || null },
+    checks: {
+      stolen: report.checks?.stolen?.status || 'unknown',
+      market_value: market?.available
+        ? { currency: market.currency, average: market.price.average, low: market.price.low, high: market.price.high }
+        : null
+    }
+  };
+}
+
+function renderVerifyHtml(report, summary, lang, hashMatch) {
+  const theme = getTheme(report?.theme);
+  const tr = (key, vars) => themeT(theme, lang, key, vars);
+  const row = (k, v) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`;
+
+  const body = summary
+    ? `<p class="ok">${escapeHtml(tr('verify.genuine', { brand: theme.name }))}</p>
+  <table>
+    ${row(tr('report.report_id'), summary.report_id)}
+    ${row('VIN', summary.vin)}
+    ${row(tr('verify.generated_at'), formatDateTime(summary.generated_at, lang))}
+    ${row(tr('report.vehicle_fallback'), `${summary.vehicle.make || ''} ${summary.vehicle.model || ''} (${summary.vehicle.year || '—'})`.trim())}
+    ${row(tr('checks.stolen'), stolenLabel(summary.checks.stolen, lang))}
+    ${row(tr('checks.market_value'), marketValueText(report.checks?.market_value, lang))}
+    ${summary.content_hash ? `<tr><th>${escapeHtml(tr('verify.hash'))}</th><td class="hash${hashMatch === false ? ' bad' : ''}">${escapeHtml(summary.content_hash)}</td></tr>` : ''}
+  </table>
+  <p>${escapeHtml(tr('verify.compare'))}</p>`
+    : `<p class="bad">${escapeHtml(tr('verify.not_found'))}</p>`;
+
+  return `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>${escapeHtml(tr('verify.title'))}</title>
+<style>
+  body{margin:0;padding:24px;font-family:${cssValue(theme.font_family)};color:${cssValue(theme.colors.text)};max-width:640px}
+  h1{font-size:20px;border-left:4px solid ${cssValue(theme.colors.brand)};padding-left:10px}
+  table{width:100%;border-collapse:collapse;font-size:14px}
+  th,td{text-align:left;padding:8px;border-bottom:1px solid #e2e8f0;vertical-align:top}
+  th{width:40%;color:${cssValue(theme.colors.muted)}}
+  .hash{font-family:ui-monospace,Menlo,Consolas,monospace;word-break:break-all;font-size:12px}
+  .ok{color:${cssValue(theme.colors.ok)};font-weight:700}
+  .bad{color:${cssValue(theme.colors.bad)};font-weight:700}
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(tr('verify.title'))}</h1>
+  ${body}
+</body>
+</html>`;
+}
+
+app.get('/api/verify/:reportId', (req, res) => {
+  const reportId = String(req.params.reportId || '').toUpperCase();
+  const lang = requestLang(req);
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+  const report = isValidReportId(reportId) ? reportGet(reportId) : null;
+
+  res.setHeader('Cache-Control', 'no-store');
+  if (!report) {
+    if (wantsHtml) return res.status(404).type('html').send(renderVerifyHtml(null, null, lang, null));
+    return res.status(404).json({ ok: false, valid: false, error: 'not_found' });
+  }
+
+  const summary = verificationSummary(report);
+  const hash = req.query?.hash ? String(req.query.hash).trim().toLowerCase() : null;
+  const hashMatch = hash && summary.content_hash ? safeEqual(hash, summary.content_hash) : null;
+
+  if (wantsHtml) return res.type('html').send(renderVerifyHtml(report, summary, resolveLang(req.query?.lang, report.lang), hashMatch));
+  return res.json({ ok: true, valid: summary.intact !== false && hashMatch !== false, ...summary, ...(hash ? { hash_match: hashMatch } : {}) });
+});
+
+// ====================== ADMIN ======================
+function orderSummary(o) {
+  const { payload, status_history, ...rest } = o;
+  return { ...rest, has_payload: Boolean(payload) };
+}
+
+app.get('/api/admin/orders', requireAdmin, (req, res) => {
+  const status = req.query?.status ? String(req.query.status) : undefined;
+  const limit = Math.min(Number(req.query?.limit) || 50, 500);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  // ?mail_failed=1: nur Bestellungen, deren letzte Mail nicht zugestellt wurde
+  const mailFailed = req.query?.mail_failed === '1';
+
+  const all = orderList({ status }).filter(o => {
+    if (!mailFailed) return true;
+    const last = (o.mail_log || []).at(-1);
+    return last && ['failed', 'rejected'].includes(last.status);
+  });
+  return res.json({
+    ok: true,
+    total: all.length,
+    orders: all.slice(offset, offset + limit).map(orderSummary)
+  });
+});
+
+app.get('/api/admin/orders/:purchaseFlowId', requireAdmin, (req, res) => {
+  const order = orderGet(req.params.purchaseFlowId);
+  if (!order) return res.status(404).json({ ok: false, error: 'not_found' });
+
+  const jobs = jobList().filter(j => j.purchaseFlowId === order.purchaseFlowId);
+  return res.json({ ok: true, order, jobs });
+});
+
+// VIN (und optional Email) nachtragen, dann Report bauen + PDF + Mail über die Job-Queue
+app.post('/api/admin/orders/:purchaseFlowId/assign-vin', requireAdmin, (req, res) => {
+  const order = orderGet(req.params.purchaseFlowId);
+  if (!order) return res.status(404).json({ ok: false, error: 'not_found' });
+
+  const vin = sanitizeVin(req.body?.vin || '');
+  const email = req.body?.email ? String(req.body.email).trim() : order.email;
+
+  if (!isLikelyVin(vin)) return res.status(400).json({ ok: false, error: 'invalid_vin' });
+  if (!email || !email.includes('@')) return res.status(400).json({ ok: false, error: 'missing_email' });
+  if (!['received', 'needs_manual_check', 'failed'].includes(order.status)) {
+    return res.status(409).json({ ok: false, error: 'order_not_assignable', status: order.status });
+  }
+
+  const active = jobActiveFor(order.purchaseFlowId);
+  if (active) return res.status(409).json({ ok: false, error: 'job_pending', jobId: active.id });
+
+  if (unknownRequestedTheme(req)) return res.status(400).json({ ok: false, error: 'unknown_theme' });
+
+  const lang = resolveLang(req.body?.lang, order.lang);
+  const theme = resolveTheme(req.body?.theme, order.theme);
+  orderUpsert(order.purchaseFlowId, { vin, email, lang, theme });
+  const job = jobEnqueue('wix_order', { purchaseFlowId: order.purchaseFlowId, vin, email, lang, theme });
+  jobResolveHeld(order.purchaseFlowId, job.id);
+
+  return res.status(202).json({ ok: true, purchaseFlowId: order.purchaseFlowId, vin, email, jobId: job.id });
+});
+
+// PDF neu rendern und erneut an den Kunden (oder eine andere Adresse) senden.
+// rebuild=true holt die Daten frisch von Vincario, sonst wird der gespeicherte Report genutzt.
+app.post('/api/admin/orders/:purchaseFlowId/resend', requireAdmin, (req, res) => {
+  const order = orderGet(req.params.purchaseFlowId);
+  if (!order) return res.status(404).json({ ok: false, error: 'not_found' });
+  if (!order.vin || !isLikelyVin(order.vin)) {
+    return res.status(409).json({ ok: false, error: 'order_without_vin', hint: 'assign-vin verwenden' });
+  }
+
+  const email = req.body?.email ? String(req.body.email).trim() : order.email;
+  if (!email || !email.includes('@')) return res.status(400).json({ ok: false, error: 'missing_email' });
+
+  if (unknownRequestedTheme(req)) return res.status(400).json({ ok: false, error: 'unknown_theme' });
+
+  const active = jobActiveFor(order.purchaseFlowId);
+  if (active) return res.status(409).json({ ok: false, error: 'job_pending', jobId: active.id });
+
+  const report = order.report_id ? reportGet(order.report_id) : null;
+  const rebuild = req.body?.rebuild === true || !report;
+  const lang = resolveLang(req.body?.lang, order.lang, report?.lang);
+  const theme = resolveTheme(req.body?.theme, order.theme, report?.theme);
+
+  // Sprache/Theme beim erneuten Rendern übernehmen (Disclaimer steht im gespeicherten Report)
+  const job = jobEnqueue(
+    'wix_order',
+    {
+      purchaseFlowId: order.purchaseFlowId,
+      vin: order.vin,
+      email,
+      lang,
+      theme,
+      ...(rebuild ? {} : { report: { ...report, lang, theme, disclaimer: themeT(getTheme(theme), lang, 'report.disclaimer') } })
+    },
+    { step: rebuild ? 'build' : 'render' }
+  );
+  jobResolveHeld(order.purchaseFlowId, job.id);
+
+  return res.status(202).json({ ok: true, purchaseFlowId: order.purchaseFlowId, email, lang, theme, rebuild, jobId: job.id });
+});
+
+app.get('/api/admin/pdf/pool', requireAdmin, (_req, res) => {
+  return res.json({ ok: true, ...browserPool.stats() });
+});
+
+app.get('/api/admin/vincario/stats', requireAdmin, (req, res) => {
+  const days = Math.min(Math.max(Number(req.query?.days) || 30, 1), 366);
+  return res.json({ ok: true, ...vincarioStats({ days }) });
+});
+
+// Themes (Branding) mit zugeordneten Kunden
+app.get('/api/admin/themes', requireAdmin, (_req, res) => {
+  const themes = Object.values(THEMES).map(th => ({
+    id: th.id,
+    name: th.name,
+    logo: th.logo ? th.logo.mime : null,
+    colors: th.colors,
+    langs: Object.keys(th.texts),
+    clients: th.clients
+  }));
+  return res.json({ ok: true, default: DEFAULT_THEME, themes });
+});
+
+// Job-Queue: Dead-Letter-Liste ansehen / erneut anstoßen
+app.get('/api/admin/jobs', requireAdmin, (req, res) => {
+  const status = req.query?.status ? String(req.query.status) : undefined;
+  return res.json({ ok: true, jobs: jobList({ status }) });
+});
+
+app.get('/api/admin/jobs/dead', requireAdmin, (_req, res) => {
+  return res.json({ ok: true, jobs: jobList({ status: 'dead' }) });
+});
+
+app.post('/api/admin/jobs/:id/retry', requireAdmin, (req, res) => {
+  const job = jobGet(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'not_found' });
+  if (job.status === 'running') return res.status(409).json({ ok: false, error: 'job_running' });
+  if (job.status === 'done') return res.status(409).json({ ok: false, error: 'job_done' });
+  return res.json({ ok: true, job: jobRedrive(job.id) });
+});
+
+// Versendete / fehlgeschlagene Mails (ohne Inhalt; Einzelabruf mit Inhalt)
+app.get('/api/admin/mails', requireAdmin, (req, res) => {
+  const status = req.query?.status ? String(req.query.status) : undefined;
+  const purchaseFlowId = req.query?.purchaseFlowId ? String(req.query.purchaseFlowId) : undefined;
+  const limit = Math.min(Number(req.query?.limit) || 50, 500);
 
-// ====================== WIX PAYLOAD PARSER ======================
-function getWixData(payload) {
-  // Wix kann liefern:
-  // - payload.data (dein neuer "order_placed" Trigger)
-  // - payload.data.order (alte Struktur)
-  // - payload.order (manchmal)
-  const p = payload || {};
-  if (p.data && typeof p.data === 'object') return p.data;
-  return p;
-}
+  const all = mailList({ status, purchaseFlowId });
+  return res.json({
+    ok: true,
+    total: all.length,
+    mails: all.slice(0, limit).map(({ text, html, ...m }) => m)
+  });
+});
 
-function extractOrderLike(payload) {
-  const p = payload || {};
-  if (p.order && typeof p.order === 'object') return p.order;
-  if (p.data?.order && typeof p.data.order === 'object') return p.data.order;
+app.get('/api/admin/mails/:id', requireAdmin, (req, res) => {
+  const mail = mailGet(req.params.id);
+  if (!mail) return res.status(404).json({ ok: false, error: 'not_found' });
+  return res.json({ ok: true, mail });
+});
 
-  // Wenn data selbst wie "order" aussieht (lineItems, purchaseFlowId, orderNumber)
-  if (p.data && typeof p.data === 'object') {
-    const d = p.data;
-    if (d.lineItems || d.purchaseFlowId || d.orderNumber || d.checkoutId || d.cartId) return d;
+// Fehlgeschlagene Mail unverändert erneut senden. Für Report-Mails mit abgelaufenem Link lieber
+// POST /api/admin/orders/:purchaseFlowId/resend (neuer Link, neues PDF).
+app.post('/api/admin/mails/:id/retry', requireAdmin, async (req, res) => {
+  const mail = mailGet(req.params.id);
+  if (!mail) return res.status(404).json({ ok: false, error: 'not_found' });
+  if (mail.status === 'sent' && req.body?.force !== true) {
+    return res.status(409).json({ ok: false, error: 'already_sent', hint: '{ "force": true } zum erneuten Senden' });
   }
 
-  // fallback: payload selbst
-  if (p.lineItems || p.purchaseFlowId) return p;
+  const result = await mailRetry(mail.id);
+  const status = result.ok ? 200 : result.error === 'attachment_missing' ? 409 : 502;
+  return res.status(status).json({ mail_id: mail.id, ...result });
+});
 
-  return null;
-}
+// Lokale Mail-Ausgabe ansehen (MAIL_TRANSPORT=outbox bzw. json)
+const OUTBOX_NAME_RE = /^[0-9TZ-]+_[a-zA-Z0-9-]+$/;
 
-function extractPurchaseFlowId(payload, orderLike) {
-  const d = getWixData(payload);
-  return (
-    payload?.purchaseFlowId ||
-    payload?.data?.purchaseFlowId ||
-    d?.purchaseFlowId ||
-    orderLike?.purchaseFlowId ||
-    orderLike?.purchaseFlow?.id ||
-    payload?.orderId ||
-    payload?.data?.orderId ||
-    orderLike?.id ||
-    null
-  );
-}
+// B2B API-Keys: Klartext-Key nur in der Antwort auf POST
+app.get('/api/admin/api-keys', requireAdmin, (req, res) => {
+  const clientId = req.query?.client_id ? String(req.query.client_id) : undefined;
+  const keys = apiKeyList({ clientId }).map(k => ({ ...apiKeyPublic(k), quota: apiKeyQuota(k) }));
+  return res.json({ ok: true, keys });
+});
 
-function extractEmail(payload, orderLike) {
-  const d = getWixData(payload);
+app.post('/api/admin/api-keys', requireAdmin, (req, res) => {
+  const clientId = String(req.body?.client_id || '').trim();
+  if (!/^[a-zA-Z0-9_-]{2,64}$/.test(clientId)) return res.status(400).json({ ok: false, error: 'invalid_client_id' });
 
-  const candidates = [
-    // neue payloads
-    d?.buyerEmail,
-    d?.contact?.email,
-    d?.billingInfo?.address?.email,
-    d?.shippingInfo?.address?.email,
-    // alte order struktur
-    orderLike?.buyerInfo?.email,
-    orderLike?.buyer_info?.email,
-    orderLike?.billingInfo?.address?.email,
-    orderLike?.shippingInfo?.address?.email,
-    payload?.email
-  ].filter(Boolean);
+  const quota = req.body?.monthly_quota;
+  if (quota !== undefined && quota !== null && !(Number.isInteger(quota) && quota >= 0)) {
+    return res.status(400).json({ ok: false, error: 'invalid_monthly_quota' });
+  }
 
-  const email = candidates.length ? String(candidates[0]).trim() : null;
-  return email || null;
-}
+  const { key, record } = apiKeyCreate({
+    clientId,
+    name: req.body?.name ? String(req.body.name) : null,
+    monthlyQuota: quota === undefined ? API_KEY_DEFAULT_QUOTA : quota
+  });
+  return res.status(201).json({ ok: true, key, api_key: apiKeyPublic(record), theme: themeForClient(clientId) || DEFAULT_THEME });
+});
 
-function extractVinFromPayload(payload, orderLike) {
-  const d = getWixData(payload);
-  const o = orderLike || {};
+// Kontingent / Name ändern
+app.post('/api/admin/api-keys/:id', requireAdmin, (req, res) => {
+  const apiKey = store.get('api_keys', req.params.id);
+  if (!apiKey) return res.status(404).json({ ok: false, error: 'not_found' });
 
-  // 1) direkt
-  const directCandidates = [
-    payload?.vin,
-    d?.vin,
-    d?.checkoutCustomFields?.vin,
-    d?.checkoutCustomFields?.fin
-  ].filter(Boolean);
-  for (const v of directCandidates) {
-    const s = sanitizeVin(v);
-    if (isLikelyVin(s)) return s;
+  const patch = {};
+  if (req.body?.monthly_quota !== undefined) {
+    const quota = req.body.monthly_quota;
+    if (quota !== null && !(Number.isInteger(quota) && quota >= 0)) return res.status(400).json({ ok: false, error: 'invalid_monthly_quota' });
+    patch.monthly_quota = quota;
   }
+  if (req.body?.name !== undefined) patch.name = req.body.name ? String(req.body.name) : null;
 
-  // 2) checkoutCustomFields: könnte object mit keys sein
-  const ccf = d?.checkoutCustomFields;
-  if (ccf && typeof ccf === 'object') {
-    for (const [k, v] of Object.entries(ccf)) {
-      const key = String(k || '').toLowerCase();
-      const val = String(v || '').trim();
-      if (!val) continue;
+  const updated = { ...apiKey, ...patch };
+  store.set('api_keys', apiKey.id, updated);
+  return res.json({ ok: true, api_key: apiKeyPublic(updated) });
+});
 
-      if (key.includes('vin') || key.includes('fin') || key.includes('fahrgestell')) {
-        const s = sanitizeVin(val);
-        if (isLikelyVin(s)) return s;
-      }
-      const s = sanitizeVin(val);
-      if (isLikelyVin(s)) return s;
-    }
-  }
+app.post('/api/admin/api-keys/:id/revoke', requireAdmin, (req, res) => {
+  const apiKey = store.get('api_keys', req.params.id);
+  if (!apiKey) return res.status(404).json({ ok: false, error: 'not_found' });
+  if (apiKey.revoked_at) return res.status(409).json({ ok: false, error: 'already_revoked' });
 
-  // 3) extendedFields._user_fields (bei dir früher fahrgestellnummer_fin_1)
-  const userFields =
-    o?.extendedFields?.namespaces?._user_fields ||
-    o?.extended_fields?.namespaces?._user_fields ||
-    d?.order?.extendedFields?.namespaces?._user_fields ||
-    d?.order?.extended_fields?.namespaces?._user_fields ||
-    null;
+  const updated = { ...apiKey, revoked_at: new Date().toISOString() };
+  store.set('api_keys', apiKey.id, updated);
 
-  if (userFields && typeof userFields === 'object') {
-    for (const [k, v] of Object.entries(userFields)) {
-      if (!v) continue;
-      const key = String(k || '').toLowerCase();
-      const val = String(v || '').trim();
-      if (!val) continue;
+  // Abos des Keys nicht weiter auf Kosten des Kunden prüfen
+  const monitors = monitorList({ status: 'active' }).filter(m => m.key_id === apiKey.id);
+  for (const m of monitors) monitorStop(m, 'api_key_revoked');
+  return res.json({ ok: true, api_key: apiKeyPublic(updated), monitors_stopped: monitors.length });
+});
 
-      if (key.includes('vin') || key.includes('fin') || key.includes('fahrgestell')) {
-        const s = sanitizeVin(val);
-        if (isLikelyVin(s)) return s;
-      }
-      const s = sanitizeVin(val);
-      if (isLikelyVin(s)) return s;
-    }
+// Abrechnung: ?month=YYYY-MM, ?client_id=, ?detail=1 (Einzelabrufe statt Monatssumme), ?format=csv
+const USAGE_SUMMARY_COLUMNS = ['month', 'client_id', 'reports', 'monitor_checks', 'failed', 'vincario_calls', 'vincario_cached', 'vincario_price', 'currency', 'keys'];
+const USAGE_DETAIL_COLUMNS = ['at', 'month', 'client_id', 'key_id', 'route', 'vin', 'ok', 'billable', 'report_id', 'actions', 'vincario_price', 'currency'];
+
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  const month = req.query?.month ? String(req.query.month) : undefined;
+  if (month && !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ ok: false, error: 'invalid_month' });
+  const clientId = req.query?.client_id ? String(req.query.client_id) : undefined;
+  const detail = req.query?.detail === '1';
+
+  const rows = detail ? usageList({ clientId, month }) : usageSummary({ clientId, month });
+
+  if (req.query?.format === 'csv') {
+    const csvRows = detail
+      ? rows.map(u => ({ ...u, actions: u.actions.map(a => `${a.action}${a.cached ? '(cache)' : ''}`).join(',') }))
+      : rows;
+    const name = `usage_${month || 'all'}${clientId ? `_${clientId}` : ''}${detail ? '_detail' : ''}.csv`;
+    res.set('Content-Disposition', `attachment; filename="${name}"`);
+    return res.type('text/csv').send(toCsv(csvRows, detail ? USAGE_DETAIL_COLUMNS : USAGE_SUMMARY_COLUMNS));
   }
+  return res.json({ ok: true, month: month || null, client_id: clientId || null, [detail ? 'records' : 'summary']: rows });
+});
 
-  // 4) lineItems customTextFields (falls doch irgendwo drin)
-  const lineItems =
-    o?.lineItems ||
-    o?.line_items ||
-    d?.lineItems ||
-    d?.line_items ||
-    [];
-
-  for (const li of (Array.isArray(lineItems) ? lineItems : [])) {
-    const ctf = li?.customTextFields || li?.custom_text_fields || li?.customTextField || [];
-    if (!Array.isArray(ctf)) continue;
+// Ausgehende Webhooks: Secret nur in der Antwort auf Anlage bzw. rotate_secret
+app.get('/api/admin/webhooks', requireAdmin, (_req, res) => {
+  return res.json({ ok: true, events: WEBHOOK_EVENTS, endpoints: webhookEndpointList().map(webhookEndpointPublic) });
+});
 
-    for (const f of ctf) {
-      const title = String(f?.title || f?.name || '').toLowerCase();
-      const value = f?.value;
-      if (!value) continue;
+app.post('/api/admin/webhooks', requireAdmin, async (req, res) => {
+  const check = await outboundUrlCheck(req.body?.url);
+  if (!check.ok) return res.status(400).json({ ok: false, error: 'invalid_url', reason: check.reason });
+  const events = parseWebhookEvents(req.body?.events);
+  if (!events) return res.status(400).json({ ok: false, error: 'invalid_events', events: WEBHOOK_EVENTS });
+
+  const endpoint = {
+    id: `whe_${crypto.randomBytes(6).toString('hex')}`,
+    url: String(req.body.url),
+    events,
+    description: req.body?.description ? String(req.body.description) : null,
+    secret: crypto.randomBytes(24).toString('hex'),
+    active: true,
+    created_at: new Date().toISOString()
+  };
+  store.set('webhook_endpoints', endpoint.id, endpoint);
+  return res.status(201).json({ ok: true, endpoint: webhookEndpointPublic(endpoint), secret: endpoint.secret });
+});
 
-      const hits = ['fin', 'vin', 'fahrgestell', 'fahrgestellnummer'];
-      if (hits.some(h => title.includes(h))) {
-        const s = sanitizeVin(value);
-        if (isLikelyVin(s)) return s;
-      }
+// { url?, events?, description?, active?, rotate_secret? }
+app.post('/api/admin/webhooks/:id', requireAdmin, async (req, res) => {
+  const endpoint = store.get('webhook_endpoints', req.params.id);
+  if (!endpoint) return res.status(404).json({ ok: false, error: 'not_found' });
 
-      const s = sanitizeVin(value);
-      if (isLikelyVin(s)) return s;
-    }
+  const patch = {};
+  if (req.body?.url !== undefined) {
+    const check = await outboundUrlCheck(req.body.url);
+    if (!check.ok) return res.status(400).json({ ok: false, error: 'invalid_url', reason: check.reason });
+    patch.url = String(req.body.url);
   }
+  if (req.body?.events !== undefined) {
+    patch.events = parseWebhookEvents(req.body.events);
+    if (!patch.events) return res.status(400).json({ ok: false, error: 'invalid_events', events: WEBHOOK_EVENTS });
+  }
+  if (req.body?.description !== undefined) patch.description = req.body.description ? String(req.body.description) : null;
+  if (req.body?.active !== undefined) patch.active = Boolean(req.body.active);
+  if (req.body?.rotate_secret) patch.secret = crypto.randomBytes(24).toString('hex');
 
-  return null;
-}
+  const updated = { ...endpoint, ...patch, updated_at: new Date().toISOString() };
+  store.set('webhook_endpoints', updated.id, updated);
+  return res.json({ ok: true, endpoint: webhookEndpointPublic(updated), ...(patch.secret ? { secret: patch.secret } : {}) });
+});
 
-// ====================== ROUTES ======================
-app.get('/', (_req, res) => res.send('✅ FZB-24 VIN Report API läuft'));
+// Test-Event "ping" nur an diesen Endpoint
+app.post('/api/admin/webhooks/:id/test', requireAdmin, (req, res) => {
+  const endpoint = store.get('webhook_endpoints', req.params.id);
+  if (!endpoint) return res.status(404).json({ ok: false, error: 'not_found' });
+  if (!endpoint.active) return res.status(409).json({ ok: false, error: 'endpoint_inactive' });
 
-app.get('/api/version', (_req, res) => {
-  const build =
-    process.env.RENDER_GIT_COMMIT ||
-    process.env.GIT_COMMIT ||
-    crypto.createHash('sha1').update(String(Date.now())).digest('hex');
-  res.json({ ok: true, build });
+  const [delivery] = webhookEmit('ping', { endpoint_id: endpoint.id }, { endpoints: [endpoint] });
+  return res.status(202).json({ ok: true, delivery });
 });
 
-// Debug-Echo
-app.post('/api/_debug/echo', (req, res) => {
-  if (!checkWebhookAuth(req)) return res.status(401).json({ ok: false, error: 'unauthorized' });
-  return res.json({ ok: true, headers: req.headers, body: req.body });
+app.get('/api/admin/webhook-deliveries', requireAdmin, (req, res) => {
+  const limit = Math.min(Number(req.query?.limit) || 50, 500);
+  const all = webhookDeliveryList({
+    status: req.query?.status ? String(req.query.status) : undefined,
+    event: req.query?.event ? String(req.query.event) : undefined,
+    endpointId: req.query?.endpoint_id ? String(req.query.endpoint_id) : undefined,
+    orderId: req.query?.order_id ? String(req.query.order_id) : undefined
+  });
+  return res.json({ ok: true, total: all.length, deliveries: all.slice(0, limit) });
 });
 
-// VIN Link endpoint (VIN “merken” nach StartCheckout)
-app.post('/api/link-vin', (req, res) => {
-  // Hier absichtlich KEIN WEBHOOK_SECRET nötig, weil das aus deiner Website kommen kann.
-  // Wir validieren hart, damit nicht alles zugespammt wird.
-  try {
-    vinStoreCleanup();
+// Erneut zustellen (gleiche event.id, neuer Job)
+app.post('/api/admin/webhook-deliveries/:id/redeliver', requireAdmin, (req, res) => {
+  const delivery = webhookDeliveryGet(req.params.id);
+  if (!delivery) return res.status(404).json({ ok: false, error: 'not_found' });
+  if (['pending', 'retrying'].includes(delivery.status)) return res.status(409).json({ ok: false, error: 'delivery_in_progress' });
 
-    const purchaseFlowId = String(req.body?.purchaseFlowId || '').trim();
-    const vin = sanitizeVin(req.body?.vin || '');
-    const email = req.body?.email ? String(req.body.email).trim() : null;
+  const job = jobEnqueue('webhook', { delivery_id: delivery.id, order_id: delivery.order_id });
+  return res.status(202).json({ ok: true, delivery: webhookDeliveryUpdate(delivery.id, { status: 'pending', job_id: job.id }) });
+});
 
-    if (!purchaseFlowId || purchaseFlowId.length < 8) {
-      return res.status(400).json({ ok: false, error: 'missing_purchaseFlowId' });
-    }
-    if (!isLikelyVin(vin)) {
-      return res.status(400).json({ ok: false, error: 'invalid_vin' });
-    }
+// Abgelehnte Webhooks (Signatur fehlt/falsch, Zeitstempel abgelaufen, …)
+app.get('/api/admin/webhook-rejections', requireAdmin, (req, res) => {
+  const provider = req.query?.provider ? String(req.query.provider) : undefined;
+  const reason = req.query?.reason ? String(req.query.reason) : undefined;
+  const limit = Math.min(Number(req.query?.limit) || 50, 500);
 
-    vinStore.set(purchaseFlowId, { vin, email, ts: Date.now() });
-    vinStoreSave();
+  const all = webhookAuditList({ provider, reason });
+  return res.json({ ok: true, total: all.length, rejections: all.slice(0, limit) });
+});
 
-    return res.json({ ok: true, purchaseFlowId, vin, email: email || null });
-  } catch (e) {
-    return res.status(500).json({ ok: false, error: 'server_error', details: e.message });
+app.get('/api/admin/outbox', requireAdmin, (req, res) => {
+  const limit = Math.min(Number(req.query?.limit) || 50, 500);
+  if (MAIL_TRANSPORT === 'json') {
+    return res.json({ ok: true, transport: 'json', file: MAIL_LOG_FILE, mails: jsonMailLogList({ limit }) });
   }
+  const mails = outboxList({ limit }).map(m => ({
+    ...m,
+    eml_url: `/api/admin/outbox/${m.name}.eml`,
+    attachment_urls: m.attachments.map(f => `/api/admin/outbox/${m.name}/${encodeURIComponent(f)}`)
+  }));
+  return res.json({ ok: true, transport: MAIL_TRANSPORT, dir: MAIL_OUTBOX_DIR, mails });
 });
 
-// Preview endpoint
-app.get('/api/report/:vin', async (req, res) => {
-  try {
-    const built = await buildPreviewReport(req.params.vin);
-    if (!built.ok) return res.status(502).json({ success: false, ...built });
-
-    return res.status(200).json({
-      success: true,
-      preview: built.preview,
-      preview_note: 'Vorschau: Es werden nur Basisdaten angezeigt. Premium-Bericht enthält zusätzliche Prüfungen und Details.',
-      locked_sections: [
-        { title: 'Diebstahlcheck (EU)', hint: 'Prüfung über mehrere EU-Datenbanken (Details im PDF).' },
-        { title: 'Marktwert', hint: 'Marktwert-Indikator (wenn ausreichende Marktdaten vorhanden).' },
-        { title: 'Technische Daten', hint: 'Maße, Gewicht, Bremsen, Lenkung, Räder, CO₂ u.v.m.' },
-        { title: 'Hinweise & Datenquellen', hint: 'Transparente Erklärung, was geprüft wurde und was nicht.' }
-      ]
-    });
-  } catch (err) {
-    console.error('❌ Fehler /api/report:', err);
-    return res.status(500).json({ success: false, error: 'server_error', details: err.message });
-  }
+app.get('/api/admin/outbox/:name.eml', requireAdmin, (req, res) => {
+  const name = String(req.params.name || '');
+  const file = path.join(MAIL_OUTBOX_DIR, `${name}.eml`);
+  if (!OUTBOX_NAME_RE.test(name) || !fs.existsSync(file)) return res.status(404).json({ ok: false, error: 'not_found' });
+  // ?view=text zeigt die Rohmail im Browser statt Download
+  if (req.query?.view === 'text') return res.type('text/plain; charset=utf-8').send(fs.readFileSync(file, 'utf8'));
+  return res.type('message/rfc822').download(file, `${name}.eml`);
 });
 
-// Premium JSON endpoint
-app.get('/api/premium-report/:vin', async (req, res) => {
-  try {
-    const built = await buildPremiumReport(req.params.vin, null);
-    if (!built.ok) return res.status(502).json({ success: false, ...built });
-    return res.status(200).json({ success: true, report: built.report });
-  } catch (err) {
-    console.error('❌ Fehler /api/premium-report:', err);
-    return res.status(500).json({ success: false, error: 'server_error', details: err.message });
-  }
+app.get('/api/admin/outbox/:name/:file', requireAdmin, (req, res) => {
+  const name = String(req.params.name || '');
+  const fileName = path.basename(String(req.params.file || ''));
+  const file = path.join(MAIL_OUTBOX_DIR, name, fileName);
+  if (!OUTBOX_NAME_RE.test(name) || !fileName || !fs.existsSync(file)) return res.status(404).json({ ok: false, error: 'not_found' });
+  return res.download(file, fileName);
 });
 
-// ✅ WIX WEBHOOK: Payment Added to Order -> PDF + Email
-app.post('/api/order-from-wix', async (req, res) => {
+// ✅ SHOP WEBHOOK: bezahlte Bestellung -> Job (PDF + Email); Parsing/Signatur über SHOP_ADAPTERS
+async function handleShopOrder(provider, req, res) {
   const start = Date.now();
+  const adapter = SHOP_ADAPTERS[provider];
+  let purchaseFlowId = null;
 
   try {
-    // 1) Auth (Wix kann Header oft nicht => ?secret=... geht)
-    if (!checkWebhookAuth(req)) {
+    // 1) Auth: HMAC über den Body (Wix-Alt-Setups ohne Header nur mit WEBHOOK_LEGACY_AUTH)
+    const auth = adapter.verify(req);
+    if (!auth.ok) {
+      webhookAuditReject(provider, req, auth.reason);
       return res.status(401).json({ success: false, error: 'unauthorized' });
     }
+    if (auth.secret > 0 || auth.legacy) log(`🔑 ${provider}-Webhook: Secret #${auth.secret}${auth.legacy ? ' (legacy)' : ''}`);
+    // Ohne konfiguriertes Secret ist der Webhook offen => kein Theme per ?theme= (siehe requestTheme)
+    req.webhookVerified = Number.isInteger(auth.secret);
 
     vinStoreCleanup();
 
     const payload = req.body || {};
-    const orderLike = extractOrderLike(payload);
+    const parsed = adapter.parse(payload, req);
 
-    const purchaseFlowId =
-      extractPurchaseFlowId(payload, orderLike) ||
-      `unknown_${crypto.randomBytes(6).toString('hex')}`;
+    // z.B. Stripe-Events außer checkout.session.completed: 200, damit der Shop nicht erneut zustellt
+    if (parsed.ignore) {
+      log(`↪️ ${provider}-Webhook ignoriert: ${parsed.ignore}`);
+      return res.status(200).json({ success: true, status: 'ignored', reason: parsed.ignore });
+    }
+
+    purchaseFlowId = parsed.orderId || `unknown_${crypto.randomBytes(6).toString('hex')}`;
 
-    // 2) Dedupe
+    // 2) Dedupe (auch nach Ablauf von DEDUPE_TTL_MS über die gespeicherte Bestellung, siehe IDEMPOTENCY)
     if (wasProcessed(purchaseFlowId)) {
       return res.status(200).json({
         success: true,
@@ -929,13 +5369,13 @@ app.post('/api/order-from-wix', async (req, res) => {
       });
     }
 
-    // 3) Email + VIN suchen
-    let email = extractEmail(payload, orderLike);
-    let vin = extractVinFromPayload(payload, orderLike);
+    // 3) Email + VIN aus dem Adapter
+    let email = parsed.email;
+    let vin = parsed.vin;
 
     // 3b) Fallback: VIN aus vinStore
     if (!vin || !isLikelyVin(vin)) {
-      const cached = vinStore.get(purchaseFlowId);
+      const cached = vinStoreLoad(purchaseFlowId);
       if (cached?.vin && isLikelyVin(cached.vin)) {
         vin = cached.vin;
         if (!email && cached.email) email = cached.email;
@@ -943,29 +5383,29 @@ app.post('/api/order-from-wix', async (req, res) => {
       }
     }
 
-    log('📦 purchaseFlowId:', purchaseFlowId);
+    log('📦 purchaseFlowId:', purchaseFlowId, `(${provider})`);
     log('📧 email:', email);
     log('🚗 vin:', vin);
 
+    const lang = resolveLang(req.query?.lang, parsed.locale, vinStoreLoad(purchaseFlowId)?.lang);
+    // Partner-Shops hängen ?theme= an ihre Webhook-URL; unbekannt => Default-Branding statt Bestellung verlieren
+    const theme = requestTheme(req);
+    if (unknownRequestedTheme(req)) console.warn(`⚠️ Unbekanntes Theme "${unknownRequestedTheme(req)}" – nutze ${theme}`);
+    orderUpsert(purchaseFlowId, { source: provider, email: email || null, vin: vin || null, lang, theme, amount: parsed.amount || null });
+
     // 4) wenn VIN/Email fehlt => Admin-Alarm (aber Webhook nicht crashen)
     if (!email || !vin || !isLikelyVin(vin)) {
-      markProcessed(purchaseFlowId); // damit Wix nicht spammt
-
-      const subject = `FZB-24 ALERT: Bestellung ohne VIN/Email (${purchaseFlowId})`;
-      const body =
-        `Es kam ein Wix Webhook rein, aber VIN oder Email war leer/ungültig.\n\n` +
-        `purchaseFlowId: ${purchaseFlowId}\n` +
-        `email: ${email || '—'}\n` +
-        `vin: ${vin || '—'}\n\n` +
-        `Payload (gekürzt):\n${safeJson(payload, 12000)}\n`;
+      markProcessed(purchaseFlowId); // damit der Shop nicht spammt
+      orderSetStatus(purchaseFlowId, 'needs_manual_check', { payload });
 
-      try {
-        if (ADMIN_EMAIL) {
-          await sendMail({ to: ADMIN_EMAIL, subject, text: body });
-        }
-      } catch (mailErr) {
-        console.error('❌ Admin-Mail konnte nicht gesendet werden:', mailErr);
-      }
+      await sendAdminAlert('order_incomplete', {
+        id: purchaseFlowId,
+        purchaseFlowId,
+        fields: { provider, purchaseFlowId, email, vin },
+        hint: `VIN nachtragen: POST ${PUBLIC_BASE_URL}/api/admin/orders/${encodeURIComponent(purchaseFlowId)}/assign-vin { "vin": "…" }`,
+        details: `Payload (gekürzt):\n${safeJson(payload, 12000)}`
+      });
+      await sendManualCheckMail({ purchaseFlowId, email, lang, theme, reason: 'missing_vin' });
 
       return res.status(200).json({
         success: true,
@@ -977,46 +5417,11 @@ app.post('/api/order-from-wix', async (req, res) => {
       });
     }
 
-    // 5) Report bauen
-    const built = await buildPremiumReport(vin, email);
-    if (!built.ok) {
-      markProcessed(purchaseFlowId);
-
-      try {
-        if (ADMIN_EMAIL) {
-          await sendMail({
-            to: ADMIN_EMAIL,
-            subject: `FZB-24 ALERT: Vincario Fehler (${purchaseFlowId})`,
-            text:
-              `Vincario/Report build ist fehlgeschlagen.\n\n` +
-              `purchaseFlowId: ${purchaseFlowId}\n` +
-              `email: ${email}\n` +
-              `vin: ${vin}\n\n` +
-              `Fehler: ${built.error}\n` +
-              `Status: ${built.status}\n` +
-              `Raw: ${built.raw || '—'}\n`
-          });
-        }
-      } catch {}
-
-      return res.status(502).json({ success: false, ...built });
-    }
-
-    const report = built.report;
-
-    // 6) PDF rendern
+    // 5) PDF deaktiviert => nichts ausliefern, Admin informieren
     if (!PDF_ENABLED) {
       markProcessed(purchaseFlowId);
 
-      if (ADMIN_EMAIL) {
-        try {
-          await sendMail({
-            to: ADMIN_EMAIL,
-            subject: `FZB-24 INFO: PDF_ENABLED=false (${purchaseFlowId})`,
-            text: `PDF ist deaktiviert. Bestellung kann nicht ausgeliefert werden.\nVIN: ${vin}\nEmail: ${email}\n`
-          });
-        } catch {}
-      }
+      await sendAdminAlert('pdf_disabled', { id: purchaseFlowId, purchaseFlowId, fields: { provider, purchaseFlowId, vin, email } });
 
       return res.status(200).json({
         success: true,
@@ -1027,71 +5432,110 @@ app.post('/api/order-from-wix', async (req, res) => {
       });
     }
 
-    const html = renderReportHtml(report);
-    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const fileName = `FZB24_${vin}_${stamp}.pdf`;
-    const filePath = path.join(REPORTS_DIR, fileName);
-
-    await renderPdfToFile(html, filePath);
-
-    // 7) Kunden-Mail (plain + PDF)
-    const mailSubject = `Dein FZB-24 Fahrzeugbericht (${vin})`;
-    const mailText =
-      `Hallo,\n\n` +
-      `anbei findest du deinen Fahrzeugbericht als PDF.\n\n` +
-      `VIN: ${vin}\n` +
-      `Report-ID: ${report.report_id}\n\n` +
-      `Hinweis: ${report.disclaimer}\n\n` +
-      `Viele Grüße\nFZB-24`;
-
-    await sendMail({
-      to: email,
-      subject: mailSubject,
-      text: mailText,
-      attachments: [
-        {
-          filename: `FZB24_Report_${vin}.pdf`,
-          path: filePath
-        }
-      ]
-    });
-
-    // 8) cleanup
-    try { fs.unlinkSync(filePath); } catch {}
-
-    // 9) processed markieren + vinStore cleanup (optional)
+    // 6) Job einreihen (build -> render -> mail läuft im Worker, Shop bekommt sofort Antwort)
+    const job = jobEnqueue('wix_order', { purchaseFlowId, vin, email, lang, theme });
     markProcessed(purchaseFlowId);
 
-    const ms = Date.now() - start;
-    return res.status(200).json({
+    return res.status(202).json({
       success: true,
-      status: 'sent',
+      status: 'queued',
       purchaseFlowId,
       email,
       vin,
-      reportId: report.report_id,
-      message: 'PDF erstellt und per E-Mail versendet.',
-      tookMs: ms
+      jobId: job.id,
+      message: 'Bestellung angenommen. PDF wird erstellt und per E-Mail versendet.',
+      tookMs: Date.now() - start
     });
   } catch (err) {
-    console.error('❌ Fehler /api/order-from-wix:', err);
+    console.error(`❌ Fehler ${provider}-Webhook:`, err);
 
-    try {
-      if (ADMIN_EMAIL) {
-        await sendMail({
-          to: ADMIN_EMAIL,
-          subject: 'FZB-24 ALERT: Server Fehler bei order-from-wix',
-          text: `Server error:\n${err?.stack || err?.message || String(err)}`
-        });
-      }
-    } catch {}
+    if (purchaseFlowId) {
+      try {
+        orderSetStatus(purchaseFlowId, 'failed', { error: err?.message || String(err) });
+      } catch {}
+    }
+
+    await sendAdminAlert('server_error', {
+      id: `webhook-${provider}`,
+      purchaseFlowId,
+      fields: { provider, purchaseFlowId },
+      details: err?.stack || err?.message || String(err)
+    });
 
     return res.status(500).json({ success: false, error: 'server_error', details: err.message });
   }
+}
+
+// Bestehende Wix-Automation zeigt auf diese URL – bleibt als Alias bestehen
+app.post('/api/order-from-wix', (req, res) => handleShopOrder('wix', req, res));
+
+app.post('/api/webhooks/:provider', (req, res) => {
+  const provider = String(req.params.provider || '').toLowerCase();
+  const adapter = Object.hasOwn(SHOP_ADAPTERS, provider) ? SHOP_ADAPTERS[provider] : null;
+  if (!adapter) return res.status(404).json({ success: false, error: 'unknown_provider' });
+  if (!adapter.enabled()) return res.status(503).json({ success: false, error: 'provider_not_configured' });
+  return handleShopOrder(provider, req, res);
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
+  startJobWorker();
+  batchResume();
+  startMonitorScheduler();
+  startStorePruning();
   console.log(`✅ Server läuft auf ${PUBLIC_BASE_URL}`);
   console.log(`✅ PDF_ENABLED=${PDF_ENABLED}`);
-  console.log(`✅ EMAIL_ENABLED=${EMAIL_ENABLED} SMTP=${SMTP_HOST}:${SMTP_PORT} secure=${SMTP_SECURE}`);
+  if (PDF_SIGNER) {
+    console.log(`✅ PDF-Signatur: ${PDF_SIGNER.name} (gültig bis ${PDF_SIGNER.not_after}${PDF_SIGNER.self_signed ? ', selbstsigniert' : ''})`);
+  }
+  console.log(`✅ EMAIL_ENABLED=${EMAIL_ENABLED} MAIL_TRANSPORT=${MAIL_TRANSPORT} ${getMailTransport()?.describe() || ''}`);
+  if (BOT_CHALLENGE !== 'off' || VINCARIO_DAILY_BUDGET > 0) {
+    console.log(`✅ BOT_CHALLENGE=${BOT_CHALLENGE} VINCARIO_DAILY_BUDGET=${VINCARIO_DAILY_BUDGET || '∞'}`);
+  }
+  console.log(`✅ TRUST_PROXY=${TRUST_PROXY}`);
+  if (ALLOW_TEST_ORDERS) console.warn('⚠️ ALLOW_TEST_ORDERS=true – /api/order läuft ohne API-Key (Test-Kauf, nur lokal)');
+  if (OUTBOUND_ALLOW_PRIVATE_HOSTS) console.warn('⚠️ OUTBOUND_ALLOW_PRIVATE_HOSTS=true – Webhooks dürfen interne Adressen aufrufen (nur zum Testen)');
+  if (IS_PROD && !TRUST_PROXY) console.warn('⚠️ TRUST_PROXY=0 in Produktion – läuft ein Proxy davor, teilen sich alle Besucher ein IP-Limit');
+  if (!WEBHOOK_SECRETS.length) console.warn('⚠️ WEBHOOK_SECRETS fehlt – /api/order-from-wix nimmt unsignierte Webhooks an');
+  else if (WEBHOOK_LEGACY_AUTH !== 'off') console.warn(`⚠️ WEBHOOK_LEGACY_AUTH=${WEBHOOK_LEGACY_AUTH} – Secret ohne Signatur wird akzeptiert`);
 });
+
+// Render schickt SIGTERM vor dem Stop: keine neuen Requests, Chromium sauber schließen
+// Laufende Requests (z.B. PDF-Render in /api/order), Jobs und Sammelprüfungen fertig werden lassen,
+// zusammen höchstens SHUTDOWN_TIMEOUT_MS; neue Jobs/Zeilen werden ab dem Signal nicht mehr gezogen.
+let shuttingDown = false;
+
+function closeServer(timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      console.warn(`⚠️ Nach ${timeoutMs}ms noch offene Verbindungen – beende trotzdem`);
+      server.closeAllConnections();
+      resolve(false);
+    }, timeoutMs);
+    server.close(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+    // Keep-Alive-Verbindungen ohne laufenden Request halten close() sonst auf
+    server.closeIdleConnections();
+  });
+}
+
+// Was nach Ablauf noch läuft, nimmt der nächste Start wieder auf (startJobWorker / batchResume)
+async function drainWorkers(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  const busy = () => Object.values(jobLaneBusy).reduce((a, b) => a + b, 0) + batchRunning.size;
+  while (busy() && Date.now() < deadline) await new Promise(r => setTimeout(r, 200));
+  if (busy()) console.warn(`⚠️ Nach ${timeoutMs}ms noch ${busy()} Jobs/Sammelprüfungen aktiv – beende trotzdem`);
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} – fahre herunter`);
+  await Promise.all([closeServer(SHUTDOWN_TIMEOUT_MS), drainWorkers(SHUTDOWN_TIMEOUT_MS)]);
+  await browserPool.shutdown();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
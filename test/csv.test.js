@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv } = require('../csv');
+
+test('parseCsv: Trenner aus der ersten Zeile', () => {
+  assert.deepEqual(parseCsv('vin;ref\nA;1\n'), [['vin', 'ref'], ['A', '1']]);
+  assert.deepEqual(parseCsv('vin,ref\nA,1'), [['vin', 'ref'], ['A', '1']]);
+  assert.deepEqual(parseCsv('vin\tref\nA\t1'), [['vin', 'ref'], ['A', '1']]);
+});
+
+test('parseCsv: Anführungszeichen, "" und Zeilenumbruch im Feld', () => {
+  const rows = parseCsv('vin;ref\r\n"A;B";"sagt ""hallo"""\r\n"C";"zwei\nZeilen"\r\n');
+  assert.deepEqual(rows, [['vin', 'ref'], ['A;B', 'sagt "hallo"'], ['C', 'zwei\nZeilen']]);
+});
+
+test('parseCsv: leere Zeilen fallen weg', () => {
+  assert.deepEqual(parseCsv('\nA\n\n  \nB\n'), [['A'], ['B']]);
+});
+
+test('toCsv: ; und CRLF, Escaping, leere Werte', () => {
+  const csv = toCsv([{ a: 'x;y', b: 'sagt "hi"', c: null }, { a: 1, b: undefined, c: 0 }], ['a', 'b', 'c']);
+  assert.equal(csv, 'a;b;c\r\n"x;y";"sagt ""hi""";\r\n1;;0\r\n');
+});
+
+test('toCsv: Formeln aus Kundendaten werden entschärft', () => {
+  const rows = [{ a: '=HYPERLINK("http://x")', b: '+1', c: '-2+3', d: '@SUM(A1)' }, { a: '\tTab', b: '\rCR', c: -5, d: 'WVW=1' }];
+  const csv = toCsv(rows, ['a', 'b', 'c', 'd']);
+  assert.equal(csv, 'a;b;c;d\r\n"\'=HYPERLINK(""http://x"")";\'+1;\'-2+3;\'@SUM(A1)\r\n\'\tTab;"\'\rCR";-5;WVW=1\r\n');
+});
+
+test('toCsv -> parseCsv ergibt wieder dieselben Zellen', () => {
+  const rows = [{ vin: 'WVWZZZ1JZXW000001', note: 'a;b\r\n"c"' }];
+  assert.deepEqual(parseCsv(toCsv(rows, ['vin', 'note'])), [['vin', 'note'], ['WVWZZZ1JZXW000001', 'a;b\r\n"c"']]);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hmacHex, parseSignatureHeader, verifySignatureHeader, webhookSignatureHeader, leadingZeroBits, createPow, isPrivateAddress } = require('../security');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const T = NOW / 1000;
+const BODY = Buffer.from('{"orderId":"42","vin":"WVWZZZ1JZXW000001"}');
+
+test('parseSignatureHeader: t und mehrere v1', () => {
+  assert.deepEqual(parseSignatureHeader('t=123, v1=aa,v1=bb'), { t: 123, v1: ['aa', 'bb'] });
+  assert.deepEqual(parseSignatureHeader('v1=aa'), { t: null, v1: ['aa'] });
+  assert.deepEqual(parseSignatureHeader(undefined), { t: null, v1: [] });
+});
+
+test('verifySignatureHeader: gültige Signatur', () => {
+  const header = webhookSignatureHeader('s1', BODY, T);
+  assert.deepEqual(verifySignatureHeader(BODY, header, ['s1'], { now: NOW }), { ok: true, secret: 0 });
+});
+
+test('verifySignatureHeader: Toleranzfenster', () => {
+  const old = webhookSignatureHeader('s1', BODY, T - 301);
+  assert.deepEqual(verifySignatureHeader(BODY, old, ['s1'], { now: NOW }), { ok: false, reason: 'timestamp_out_of_tolerance' });
+  assert.equal(verifySignatureHeader(BODY, old, ['s1'], { now: NOW, toleranceSec: 600 }).ok, true);
+
+  const future = webhookSignatureHeader('s1', BODY, T + 301);
+  assert.equal(verifySignatureHeader(BODY, future, ['s1'], { now: NOW }).reason, 'timestamp_out_of_tolerance');
+  assert.equal(verifySignatureHeader(BODY, webhookSignatureHeader('s1', BODY, T + 299), ['s1'], { now: NOW }).ok, true);
+});
+
+test('verifySignatureHeader: Rotation – alter und neuer Schlüssel', () => {
+  const secrets = ['neu', 'alt'];
+  assert.deepEqual(verifySignatureHeader(BODY, webhookSignatureHeader('alt', BODY, T), secrets, { now: NOW }), { ok: true, secret: 1 });
+  assert.deepEqual(verifySignatureHeader(BODY, webhookSignatureHeader('neu', BODY, T), secrets, { now: NOW }), { ok: true, secret: 0 });
+
+  // Absender signiert während der Rotation doppelt
+  const both = `t=${T},v1=${hmacHex('fremd', `${T}.${BODY}`)},v1=${hmacHex('alt', `${T}.${BODY}`)}`;
+  assert.deepEqual(verifySignatureHeader(BODY, both, secrets, { now: NOW }), { ok: true, secret: 1 });
+
+  assert.equal(verifySignatureHeader(BODY, webhookSignatureHeader('entfernt', BODY, T), secrets, { now: NOW }).reason, 'bad_signature');
+});
+
+test('verifySignatureHeader: manipulierter Body oder Zeitstempel', () => {
+  const header = webhookSignatureHeader('s1', BODY, T);
+  const tampered = Buffer.from(BODY.toString().replace('42', '43'));
+  assert.deepEqual(verifySignatureHeader(tampered, header, ['s1'], { now: NOW }), { ok: false, reason: 'bad_signature' });
+
+  const shifted = header.replace(`t=${T}`, `t=${T + 1}`);
+  assert.equal(verifySignatureHeader(BODY, shifted, ['s1'], { now: NOW }).reason, 'bad_signature');
+});
+
+test('verifySignatureHeader: fehlende Konfiguration / Header', () => {
+  assert.equal(verifySignatureHeader(BODY, 't=1,v1=aa', [], { now: NOW }).reason, 'not_configured');
+  assert.equal(verifySignatureHeader(BODY, '', ['s1'], { now: NOW }).reason, 'missing_signature');
+  assert.equal(verifySignatureHeader(BODY, 'v1=aa', ['s1'], { now: NOW }).reason, 'malformed_signature');
+  assert.equal(verifySignatureHeader(BODY, `t=${T}`, ['s1'], { now: NOW }).reason, 'malformed_signature');
+});
+
+test('leadingZeroBits', () => {
+  assert.equal(leadingZeroBits(Buffer.from([0xff])), 0);
+  assert.equal(leadingZeroBits(Buffer.from([0x01])), 7);
+  assert.equal(leadingZeroBits(Buffer.from([0x00, 0x10])), 11);
+  assert.equal(leadingZeroBits(Buffer.from([0x00, 0x00])), 16);
+});
+
+function solve(challenge, difficulty) {
+  for (let nonce = 0; ; nonce++) {
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(hash) >= difficulty) return `${challenge}:${nonce}`;
+  }
+}
+
+test('createPow: gelöste Challenge gilt genau einmal', () => {
+  const pow = createPow({ secret: 'pow-test', difficulty: 8 });
+  const { challenge, difficulty } = pow.issue(NOW);
+  const token = solve(challenge, difficulty);
+  assert.deepEqual(pow.verify(token, NOW), { ok: true });
+  assert.deepEqual(pow.verify(token, NOW), { ok: false, reason: 'challenge_used' });
+});
+
+test('createPow: zu wenig Arbeit', () => {
+  const pow = createPow({ secret: 'pow-test', difficulty: 12 });
+  const { challenge } = pow.issue(NOW);
+  let nonce = 0;
+  while (leadingZeroBits(crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest()) >= 12) nonce++;
+  assert.deepEqual(pow.verify(`${challenge}:${nonce}`, NOW), { ok: false, reason: 'insufficient_work' });
+});
+
+test('createPow: abgelaufen, fremd signiert, manipuliert, kaputt', () => {
+  const pow = createPow({ secret: 'pow-test', difficulty: 4, ttlMs: 1000 });
+  const { challenge } = pow.issue(NOW);
+  const token = solve(challenge, 4);
+  assert.equal(pow.verify(token, NOW + 1001).reason, 'challenge_expired');
+
+  const other = createPow({ secret: 'anderes-secret', difficulty: 4 });
+  assert.equal(other.verify(token, NOW).reason, 'invalid_challenge');
+
+  // Schwierigkeit herabgesetzt -> MAC passt nicht mehr
+  const [expires, rand, , mac] = challenge.split('.');
+  assert.equal(pow.verify(`${expires}.${rand}.0.${mac}:1`, NOW).reason, 'invalid_challenge');
+
+  assert.equal(pow.verify('ohne-nonce', NOW).reason, 'malformed_token');
+  assert.equal(pow.verify(`${challenge}:`, NOW).reason, 'malformed_token');
+  assert.equal(pow.verify(undefined, NOW).reason, 'malformed_token');
+});
+
+test('isPrivateAddress: interne Ziele', () => {
+  for (const ip of ['127.0.0.1', '10.0.0.5', '172.16.0.1', '172.31.255.255', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['::1', '::', 'fe80::1', 'fd12:3456::1', '::ffff:127.0.0.1', '::ffff:a00:1', '64:ff9b::7f00:1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+});
+
+test('isPrivateAddress: öffentliche Ziele', () => {
+  for (const ip of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '100.128.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('isPrivateAddress: keine IP => blockiert', () => {
+  assert.equal(isPrivateAddress('example.com'), true);
+  assert.equal(isPrivateAddress(''), true);
+  assert.equal(isPrivateAddress(undefined), true);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SECRET = 'shopify-test';
+
+function freePort() {
+  return new Promise(resolve => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// server.js als eigener Prozess: Memory-Store, Dedupe-Fenster 1ms, Job-Worker zieht während des Tests nichts
+async function startServer() {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-replay-'));
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      STORE_DRIVER: 'memory',
+      DATA_DIR: dir,
+      REPORTS_DIR: dir,
+      DEDUPE_TTL_MS: '1',
+      JOB_POLL_MS: '3600000',
+      EMAIL_ENABLED: 'false',
+      VINCARIO_API_KEY: 'x',
+      VINCARIO_SECRET_KEY: 'y',
+      SHOPIFY_WEBHOOK_SECRET: SECRET
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('Server läuft')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => reject(new Error(`server exited (${code}):\n${output}`)));
+  });
+  return {
+    url: `http://127.0.0.1:${port}`,
+    async stop() {
+      child.removeAllListeners('exit');
+      const exited = new Promise(resolve => child.on('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+function postOrder(url, order) {
+  const body = JSON.stringify(order);
+  return fetch(`${url}/api/webhooks/shopify`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-shopify-hmac-sha256': crypto.createHmac('sha256', SECRET).update(body).digest('base64')
+    },
+    body
+  }).then(async r => ({ status: r.status, body: await r.json() }));
+}
+
+const ORDER = {
+  id: 4711,
+  email: 'kunde@example.com',
+  note_attributes: [{ name: 'vin', value: 'WVWZZZ1JZXW000001' }]
+};
+
+test('Shopify: Replay nach Ablauf des Dedupe-Fensters startet keinen zweiten Job', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const first = await postOrder(server.url, ORDER);
+  assert.equal(first.status, 202);
+  assert.equal(first.body.status, 'queued');
+
+  await new Promise(r => setTimeout(r, 20));
+  const replay = await postOrder(server.url, ORDER);
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.status, 'duplicate_ignored');
+  assert.equal(replay.body.purchaseFlowId, 'shopify_4711');
+});
+
+test('Shopify: Bestellung älter als die Aufbewahrung wird ignoriert', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const old = await postOrder(server.url, { ...ORDER, id: 4712, created_at: '2020-01-01T10:00:00Z' });
+  assert.equal(old.status, 200);
+  assert.deepEqual(old.body, { success: true, status: 'ignored', reason: 'order_too_old' });
+});
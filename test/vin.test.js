@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeVin, validateVin, computeCheckDigit, decodeModelYear } = require('../vin');
+
+test('computeCheckDigit: Referenz-VINs inkl. Rest 10 => X', () => {
+  assert.equal(computeCheckDigit('1M8GDM9AXKP042788'), 'X');
+  assert.equal(computeCheckDigit('1HGCM82633A004352'), '3');
+  assert.equal(computeCheckDigit('11111111111111111'), '1');
+});
+
+test('computeCheckDigit: falsche Länge oder unzulässige Zeichen => null', () => {
+  assert.equal(computeCheckDigit('1HGCM82633A00435'), null);
+  assert.equal(computeCheckDigit('1HGCM8263IA004352'), null);
+});
+
+test('validateVin: Prüfziffer in Nordamerika Pflicht', () => {
+  const ok = validateVin('1HGCM82633A004352');
+  assert.equal(ok.valid, true);
+  assert.equal(ok.check_digit.required, true);
+
+  const bad = validateVin('1HGCM82643A004352');
+  assert.equal(bad.valid, false);
+  assert.deepEqual(bad.errors, ['check_digit_mismatch']);
+  assert.equal(bad.check_digit.expected, '3');
+});
+
+test('validateVin: europäische VIN ohne Prüfziffernpflicht', () => {
+  const r = validateVin('WVWZZZ1JZXW000001');
+  assert.equal(r.check_digit.required, false);
+  assert.equal(r.valid, true);
+});
+
+test('validateVin: Länge und I/O/Q', () => {
+  assert.deepEqual(validateVin('WVWZZZ').errors, ['invalid_length']);
+  assert.ok(validateVin('WVWZZZ1JZXW00000O').errors.includes('invalid_characters'));
+});
+
+test('sanitizeVin: Großschreibung, Trennzeichen raus', () => {
+  assert.equal(sanitizeVin(' wvw-zzz 1jz xw000001 '), 'WVWZZZ1JZXW000001');
+});
+
+test('decodeModelYear: Nordamerika über Position 7 eindeutig', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  assert.equal(decodeModelYear('1HGCM82633A004352', now).year, 2003);
+  assert.equal(decodeModelYear('1M8GDM9AXKP042788', now).year, 1989);
+});
@@ -0,0 +1,216 @@
+// Offline VIN-Prüfung (ISO 3779): Prüfziffer, WMI (Hersteller/Land) und Modelljahr.
+// Kommt ohne Vincario aus, damit Tippfehler nicht erst die bezahlte API erreichen.
+
+const VIN_ALPHABET = 'ABCDEFGHJKLMNPRSTUVWXYZ1234567890';
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10: Zyklus von 30 Jahren (ohne I, O, Q, U, Z, 0)
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+function sanitizeVin(vin) {
+  return String(vin || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 25);
+}
+
+// ====================== WMI TABLE ======================
+function regionOf(c) {
+  if ('ABCDEFGH'.includes(c)) return 'Afrika';
+  if ('JKLMNPR'.includes(c)) return 'Asien';
+  if ('STUVWXYZ'.includes(c)) return 'Europa';
+  if ('12345'.includes(c)) return 'Nordamerika';
+  if ('67'.includes(c)) return 'Ozeanien';
+  if ('89'.includes(c)) return 'Südamerika';
+  return null;
+}
+
+// [erstes Zeichen, zweites Zeichen von, bis, Land]
+const COUNTRY_RANGES = [
+  ['A', 'A', 'H', 'Südafrika'],
+  ['J', 'A', '0', 'Japan'],
+  ['K', 'L', 'R', 'Südkorea'],
+  ['L', 'A', '0', 'China'],
+  ['M', 'A', 'E', 'Indien'],
+  ['M', 'F', 'K', 'Indonesien'],
+  ['M', 'L', 'R', 'Thailand'],
+  ['N', 'L', 'R', 'Türkei'],
+  ['P', 'A', 'E', 'Philippinen'],
+  ['P', 'L', 'R', 'Malaysia'],
+  ['S', 'A', 'M', 'Vereinigtes Königreich'],
+  ['S', 'N', 'T', 'Deutschland'],
+  ['S', 'U', 'Z', 'Polen'],
+  ['T', 'A', 'H', 'Schweiz'],
+  ['T', 'J', 'P', 'Tschechien'],
+  ['T', 'R', 'V', 'Ungarn'],
+  ['T', 'W', '1', 'Portugal'],
+  ['U', 'U', '1', 'Rumänien'],
+  ['V', 'A', 'E', 'Österreich'],
+  ['V', 'F', 'R', 'Frankreich'],
+  ['V', 'S', 'W', 'Spanien'],
+  ['W', 'A', '0', 'Deutschland'],
+  ['X', 'L', 'R', 'Niederlande'],
+  ['X', '3', '0', 'Russland'],
+  ['Y', 'A', 'E', 'Belgien'],
+  ['Y', 'F', 'K', 'Finnland'],
+  ['Y', 'S', 'W', 'Schweden'],
+  ['Z', 'A', 'R', 'Italien'],
+  ['1', 'A', '0', 'USA'],
+  ['2', 'A', '0', 'Kanada'],
+  ['3', 'A', 'W', 'Mexiko'],
+  ['4', 'A', '0', 'USA'],
+  ['5', 'A', '0', 'USA'],
+  ['6', 'A', 'W', 'Australien'],
+  ['7', 'A', 'E', 'Neuseeland'],
+  ['8', 'A', 'E', 'Argentinien'],
+  ['9', 'A', 'E', 'Brasilien'],
+  ['9', '3', '9', 'Brasilien']
+];
+
+const WMI_MANUFACTURERS = {
+  // Deutschland
+  WBA: 'BMW', WBS: 'BMW M', WBY: 'BMW i', WMW: 'MINI',
+  WDB: 'Mercedes-Benz', WDD: 'Mercedes-Benz', WDC: 'Mercedes-Benz', WDF: 'Mercedes-Benz (Van)',
+  W1K: 'Mercedes-Benz', W1N: 'Mercedes-Benz', W1V: 'Mercedes-Benz (Van)', WME: 'smart',
+  WAU: 'Audi', WA1: 'Audi', WUA: 'Audi Sport',
+  WVW: 'Volkswagen', WVG: 'Volkswagen', WV1: 'Volkswagen Nutzfahrzeuge', WV2: 'Volkswagen Nutzfahrzeuge',
+  WP0: 'Porsche', WP1: 'Porsche',
+  W0L: 'Opel', W0V: 'Opel', WF0: 'Ford (Deutschland)', WMA: 'MAN',
+  // Frankreich / Spanien / Italien
+  VF1: 'Renault', VF3: 'Peugeot', VF7: 'Citroën', VR3: 'Peugeot', VR7: 'Citroën', VR1: 'DS Automobiles',
+  VXK: 'Opel', VNK: 'Toyota (Frankreich)',
+  VSS: 'SEAT / Cupra', VS6: 'Ford (Spanien)', VSK: 'Nissan (Spanien)', VSX: 'Opel (Spanien)', VWV: 'Volkswagen (Spanien)',
+  ZFA: 'Fiat', ZFF: 'Ferrari', ZAR: 'Alfa Romeo', ZLA: 'Lancia', ZAM: 'Maserati', ZHW: 'Lamborghini', ZCF: 'Iveco',
+  // Mittel- / Osteuropa
+  TMB: 'Škoda', TMA: 'Hyundai (Tschechien)', TRU: 'Audi (Ungarn)', TSM: 'Suzuki (Ungarn)', UU1: 'Dacia',
+  U5Y: 'Kia (Slowakei)', XTA: 'Lada', XW8: 'Volkswagen (Russland)',
+  // Nordeuropa / UK
+  YV1: 'Volvo', YV4: 'Volvo', YS3: 'Saab', YS2: 'Scania', YSM: 'Polestar',
+  SAL: 'Land Rover', SAJ: 'Jaguar', SAD: 'Jaguar', SAR: 'Rover', SCC: 'Lotus', SCF: 'Aston Martin',
+  SCB: 'Bentley', SCA: 'Rolls-Royce', SHH: 'Honda (UK)', SJN: 'Nissan (UK)', SB1: 'Toyota (UK)',
+  // Türkei
+  NMT: 'Toyota (Türkei)', NM0: 'Ford (Türkei)', NLH: 'Hyundai (Türkei)',
+  // Asien
+  JHM: 'Honda', JHL: 'Honda', JT2: 'Toyota', JTD: 'Toyota', JTE: 'Toyota', JTN: 'Toyota', JTM: 'Toyota',
+  JN1: 'Nissan', JN8: 'Nissan', JMZ: 'Mazda', JM1: 'Mazda', JF1: 'Subaru', JSA: 'Suzuki', JS2: 'Suzuki',
+  JMB: 'Mitsubishi', JA3: 'Mitsubishi', JYA: 'Yamaha',
+  KMH: 'Hyundai', KNA: 'Kia', KND: 'Kia', KPT: 'SsangYong', KNM: 'Renault Samsung',
+  LSV: 'SAIC Volkswagen', LFV: 'FAW-Volkswagen', LRW: 'Tesla (China)', LBV: 'BMW Brilliance', LPS: 'Polestar',
+  MAL: 'Hyundai (Indien)', MA3: 'Maruti Suzuki',
+  // Nordamerika
+  '1FA': 'Ford', '1FT': 'Ford', '1G1': 'Chevrolet', '1GC': 'Chevrolet', '1HG': 'Honda (USA)',
+  '1J4': 'Jeep', '1C4': 'Chrysler / Jeep', '1N4': 'Nissan (USA)', '2T1': 'Toyota (Kanada)',
+  '3VW': 'Volkswagen (Mexiko)', '4T1': 'Toyota (USA)', '4S3': 'Subaru (USA)', '5YJ': 'Tesla',
+  '5UX': 'BMW (USA)', '5TD': 'Toyota (USA)', '7SA': 'Tesla'
+};
+
+function countryOf(vin) {
+  const [c1, c2] = vin;
+  for (const [first, from, to, country] of COUNTRY_RANGES) {
+    if (first !== c1) continue;
+    const i = VIN_ALPHABET.indexOf(c2);
+    if (i >= VIN_ALPHABET.indexOf(from) && i <= VIN_ALPHABET.indexOf(to)) return country;
+  }
+  return null;
+}
+
+function decodeWmi(vin) {
+  if (vin.length < 3) return null;
+  const code = vin.slice(0, 3);
+  return {
+    code,
+    manufacturer: WMI_MANUFACTURERS[code] || null,
+    country: countryOf(vin),
+    region: regionOf(vin[0])
+  };
+}
+
+// ====================== CHECK DIGIT ======================
+function computeCheckDigit(vin) {
+  if (vin.length !== 17) return null;
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const c = vin[i];
+    const value = /[0-9]/.test(c) ? Number(c) : TRANSLITERATION[c];
+    if (value === undefined) return null;
+    sum += value * WEIGHTS[i];
+  }
+  const r = sum % 11;
+  return r === 10 ? 'X' : String(r);
+}
+
+// Pflicht ist die Prüfziffer nur für Nordamerika; europäische Hersteller nutzen Position 9 frei.
+function isCheckDigitRequired(vin) {
+  return vin.length === 17 && regionOf(vin[0]) === 'Nordamerika';
+}
+
+// ====================== MODEL YEAR ======================
+function decodeModelYear(vin, now = new Date()) {
+  if (vin.length !== 17) return null;
+  const code = vin[9];
+  const idx = YEAR_CODES.indexOf(code);
+  if (idx < 0) return { code, year: null, candidates: [], reliable: false };
+
+  const maxYear = now.getUTCFullYear() + 1;
+  const candidates = [];
+  for (let y = 1980 + idx; y <= maxYear; y += 30) candidates.push(y);
+
+  // Nordamerika (Pkw): Position 7 numerisch => 1980–2009, Buchstabe => 2010–2039
+  const northAmerica = regionOf(vin[0]) === 'Nordamerika';
+  let year = candidates.length ? candidates[candidates.length - 1] : null;
+  if (northAmerica) {
+    const newer = /[A-Z]/.test(vin[6]);
+    year = candidates.find(y => (newer ? y >= 2010 : y < 2010)) ?? year;
+  }
+
+  // In Europa ist Position 10 nicht verpflichtend das Modelljahr
+  return { code, year, candidates, reliable: northAmerica };
+}
+
+// ====================== VALIDATE ======================
+function validateVin(input, { now } = {}) {
+  const vin = sanitizeVin(input);
+  const errors = [];
+  const warnings = [];
+
+  if (vin.length < 11 || vin.length > 17) errors.push('invalid_length');
+  if (/[IOQ]/.test(vin)) errors.push('invalid_characters');
+  if (isCheckDigitRequired(vin) && !YEAR_CODES.includes(vin[9])) {
+    warnings.push('invalid_model_year_code');
+  }
+
+  const expected = computeCheckDigit(vin);
+  const required = isCheckDigitRequired(vin);
+  const checkDigit = {
+    required,
+    expected,
+    actual: vin.length === 17 ? vin[8] : null,
+    valid: expected !== null ? vin[8] === expected : null
+  };
+  if (required && expected !== null && !checkDigit.valid) errors.push('check_digit_mismatch');
+
+  const wmi = errors.includes('invalid_characters') ? null : decodeWmi(vin);
+  if (wmi && !wmi.country) warnings.push('unknown_wmi_country');
+
+  return {
+    vin,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    check_digit: checkDigit,
+    wmi,
+    model_year: errors.length ? null : decodeModelYear(vin, now)
+  };
+}
+
+module.exports = {
+  sanitizeVin,
+  validateVin,
+  computeCheckDigit,
+  decodeWmi,
+  decodeModelYear
+};